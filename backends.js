@@ -0,0 +1,497 @@
+import process from 'node:process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {execa, execaSync} from 'execa';
+import {CommandNotFoundError, PermissionDeniedError} from './errors.js';
+import {
+	parseLsofFieldOutput,
+	parseNetstatDarwin,
+	parseNetstatLinux,
+	parseNetstatWindows,
+	parseProcNet,
+	parseProcNetUnix,
+	parseSsOutput,
+	parseSsUnixOutput,
+	procNetTables,
+	withOwners,
+} from './parsers.js';
+import {isWildcardHost} from './lookups.js';
+import {isPidEntry} from './processes.js';
+
+// Spawning a missing command fails with `ENOENT` locally, while shells, `docker exec`, and `ssh` exit with 127
+const toCommandError = (error, command) => {
+	if (error.code === 'ENOENT' || error.exitCode === 127) {
+		return new CommandNotFoundError(command, {cause: error});
+	}
+
+	if (error.code === 'EACCES' || error.code === 'EPERM' || /permission denied|operation not permitted/i.test(error.stderr ?? '')) {
+		return new PermissionDeniedError(command, {cause: error});
+	}
+
+	return error;
+};
+
+const withCommandErrors = exec => async (file, arguments_) => {
+	try {
+		return await exec(file, arguments_);
+	} catch (error) {
+		throw toCommandError(error, file);
+	}
+};
+
+export const execSync = (file, arguments_) => {
+	try {
+		return execaSync(file, arguments_);
+	} catch (error) {
+		throw toCommandError(error, file);
+	}
+};
+
+// -nP: no DNS, numeric ports; -F: machine-readable fields; -i: internet sockets, optionally of some ports
+const getLsofCommand = (ports = []) => ['lsof', ['-nP', '-F', 'pcnPtT', '-i', ...(ports.length > 0 ? [`:${ports.join(',')}`] : [])]];
+
+const getNamespacePath = netns => typeof netns === 'number' ? `/proc/${netns}/ns/net` : netns;
+
+// `ss` and `netstat` take the same flags on Linux, and only see the network namespace they run in
+const getLinuxCommand = (file, {state, netns}) => {
+	// Only ask for all sockets when needed, as there can be many more connections than listeners
+	const arguments_ = [state === 'listen' ? '-tunlp' : '-tunap'];
+
+	return netns === undefined
+		? [file, arguments_]
+		: ['nsenter', [`--net=${getNamespacePath(netns)}`, file, ...arguments_]];
+};
+
+const addSocketOwner = (owners, link, pid) => {
+	const inode = /^socket:\[(?<inode>\d+)]$/.exec(link)?.groups.inode;
+	if (inode) {
+		const key = Number.parseInt(inode, 10);
+		owners.set(key, [...owners.get(key) ?? [], Number.parseInt(pid, 10)]);
+	}
+};
+
+// The links of the file descriptors of a process, which are none when it exited or belongs to another user, and `undefined` for descriptors that were closed in the meantime
+function * readDescriptorLinks(context, pid) {
+	const descriptors = yield context.attempt(() => context.readDirectory(`/proc/${pid}/fd`));
+	return yield context.all((descriptors ?? []).map(descriptor => context.attempt(() => context.readLink(`/proc/${pid}/fd/${descriptor}`))));
+}
+
+// Map socket inodes to the PIDs holding them, which are several for sockets shared with forked workers. Processes of other users cannot be inspected without privileges, so their sockets stay without a PID.
+function * getSocketOwners(context) {
+	const owners = new Map();
+	const pids = (yield context.readDirectory('/proc')).filter(entry => isPidEntry(entry));
+	const links = yield context.all(pids.map(pid => context.run(readDescriptorLinks(context, pid))));
+
+	for (const [index, pid] of pids.entries()) {
+		for (const link of links[index]) {
+			if (link !== undefined) {
+				addSocketOwner(owners, link, pid);
+			}
+		}
+	}
+
+	return owners;
+}
+
+// Namespace files like `/run/netns/name` have the inode that `/proc/<pid>/ns/net` links to
+function * findNamespaceProcess(context, namespacePath) {
+	const {ino} = yield context.stat(namespacePath);
+	const pids = (yield context.readDirectory('/proc')).filter(entry => isPidEntry(entry));
+	// Processes that exited or belong to another user have no link
+	const links = yield context.all(pids.map(pid => context.attempt(() => context.readLink(`/proc/${pid}/ns/net`))));
+	const index = links.indexOf(`net:[${ino}]`);
+	return index === -1 ? undefined : Number.parseInt(pids[index], 10);
+}
+
+// The socket tables in `/proc/<pid>/net` are the ones of the network namespace of that process
+function * getProcNetDirectory(context, netns) {
+	if (netns === undefined) {
+		return '/proc/net';
+	}
+
+	return getNamespaceProcNetDirectory(netns, typeof netns === 'number' ? netns : yield * findNamespaceProcess(context, netns));
+}
+
+const getNamespaceProcNetDirectory = (netns, pid) => {
+	if (pid === undefined) {
+		throw new Error(`Could not find a process in the network namespace \`${netns}\``);
+	}
+
+	return `/proc/${pid}/net`;
+};
+
+// IPv6 tables are missing when IPv6 is disabled
+const isMissingIpv6Table = (error, name) => error.code === 'ENOENT' && name.endsWith('6');
+
+function * readProcNetTable(context, directory, {name, ...table}) {
+	try {
+		return parseProcNet(yield context.readFile(path.join(directory, name)), table);
+	} catch (error) {
+		if (isMissingIpv6Table(error, name)) {
+			return [];
+		}
+
+		throw error;
+	}
+}
+
+const withSocketOwners = (tables, owners) => tables.flat().flatMap(socket => withOwners(socket, owners.get(socket.inode)));
+
+function * procfs(context, {netns} = {}) {
+	const directory = yield * getProcNetDirectory(context, netns);
+	const tables = yield context.all(procNetTables.map(table => context.run(readProcNetTable(context, directory, table))));
+	return withSocketOwners(tables, yield * getSocketOwners(context));
+}
+
+function * procfsUnix(context) {
+	const table = parseProcNetUnix(yield context.readFile('/proc/net/unix'));
+	return withSocketOwners([table], yield * getSocketOwners(context));
+}
+
+// The ways to list sockets on each platform, with the commands whose output is joined and parsed. Everything but Linux and macOS is treated as Windows.
+const backends = {
+	linux: {
+		procfs: {
+			// `/proc` is read from the local filesystem, so it cannot be used with a custom command runner
+			isLocalOnly: true,
+			supportsNetns: true,
+			list: (context, options) => procfs(context, options),
+		},
+		ss: {
+			supportsNetns: true,
+			getCommands: options => [getLinuxCommand('ss', options)],
+			parse: text => parseSsOutput(text),
+		},
+		netstat: {
+			supportsNetns: true,
+			getCommands: options => [getLinuxCommand('netstat', options)],
+			parse: text => parseNetstatLinux(text),
+		},
+		lsof: {
+			getCommands: () => [getLsofCommand()],
+			parse: text => parseLsofFieldOutput(text),
+			// `lsof` exits with 1 when it finds no sockets
+			noMatchesExitCode: 1,
+		},
+	},
+	darwin: {
+		netstat: {
+			getCommands: () => [['netstat', ['-anv', '-p', 'tcp']], ['netstat', ['-anv', '-p', 'udp']]],
+			parse: text => parseNetstatDarwin(text),
+		},
+		lsof: {
+			getCommands: () => [getLsofCommand()],
+			parse: text => parseLsofFieldOutput(text),
+			// `lsof` exits with 1 when it finds no sockets
+			noMatchesExitCode: 1,
+		},
+	},
+	win32: {
+		netstat: {
+			getCommands: () => [['netstat', ['-ano']]],
+			parse: text => parseNetstatWindows(text),
+		},
+	},
+};
+
+const getPlatformBackends = platform => backends[platform] ?? backends.win32;
+
+// Reading `/proc` is the fastest and needs no commands, and `lsof` comes last as it only sees the sockets of the current user without privileges
+const defaultBackends = {
+	linux: ['procfs', 'ss', 'netstat', 'lsof'],
+	darwin: ['netstat', 'lsof'],
+	win32: ['netstat'],
+};
+
+const getDefaultBackends = platform => defaultBackends[platform] ?? defaultBackends.win32;
+
+// The backends that can also list Unix domain sockets, which are only looked up on Linux
+const unixSocketBackends = {
+	procfs: {
+		isLocalOnly: true,
+		list: context => procfsUnix(context),
+	},
+	ss: {
+		getCommands: () => [['ss', ['-xlp']]],
+		parse: text => parseSsUnixOutput(text),
+	},
+};
+
+const validateBackends = (names, platform) => {
+	const available = Object.keys(getPlatformBackends(platform));
+	if (!Array.isArray(names) || names.length === 0 || names.some(name => !available.includes(name))) {
+		throw new TypeError(`Expected backends to be a non-empty array of \`${available.join('`, `')}\`, got ${names}`);
+	}
+};
+
+// The backends to try in turn, leaving out the ones that cannot be used with the context or the options
+export const getBackendChain = (context, netns) => {
+	const chain = context.backends.filter(name => {
+		const backend = getPlatformBackends(context.platform)[name];
+		return (context.isLocal || !backend.isLocalOnly) && (netns === undefined || backend.supportsNetns);
+	});
+
+	if (chain.length === 0) {
+		throw new Error(`None of the backends \`${context.backends.join('`, `')}\` can be used ${netns === undefined ? 'with a custom command runner' : 'with the `netns` option'}`);
+	}
+
+	return chain;
+};
+
+const isNoMatchesError = (backend, error) => error.exitCode !== undefined && error.exitCode === backend.noMatchesExitCode;
+
+export const runBackend = (context, name, options) => listWithBackend(context, getPlatformBackends(context.platform)[name], options);
+
+function * runBackendCommand(context, backend, [file, arguments_]) {
+	try {
+		const {stdout} = yield context.exec(file, arguments_);
+		return stdout;
+	} catch (error) {
+		if (isNoMatchesError(backend, error)) {
+			return '';
+		}
+
+		throw error;
+	}
+}
+
+function * listWithBackend(context, backend, options) {
+	if (backend.list) {
+		return yield * backend.list(context, options);
+	}
+
+	const outputs = yield context.all(backend.getCommands(options).map(command => context.run(runBackendCommand(context, backend, command))));
+	return backend.parse(outputs.join('\n'));
+}
+
+// A missing command says less about why the lookup failed than a backend that is there but failed
+const selectBackendError = errors => errors.find(error => !(error instanceof CommandNotFoundError)) ?? errors[0];
+
+// Sockets in `time-wait` and sockets with inode 0 belong to no process, so `lsof` cannot find their owner either
+const canHaveOwner = socket => socket.state !== 'time-wait' && socket.inode !== 0;
+
+// The ports of the sockets that the table is read for and that have no owner, because the backend cannot see the processes of other users
+const getHiddenOwnerPorts = (sockets, state = 'listen') => {
+	const ports = sockets
+		.filter(socket => socket.pid === undefined && socket.port !== undefined && canHaveOwner(socket))
+		.filter(socket => state !== 'listen' || socket.state === 'listen')
+		.map(socket => socket.port);
+	return [...new Set(ports)].sort((a, b) => a - b);
+};
+
+// `lsof` only sees the current network namespace
+const canFindHiddenOwners = (context, netns) => context.backends.includes('lsof') && netns === undefined;
+
+// Backends print the wildcard host differently, like `0.0.0.0` in `ss` and `*` in `lsof`
+const getSocketKey = ({protocol, host, port, remoteHost, remotePort}) => [
+	protocol,
+	isWildcardHost(host) ? '*' : host,
+	port,
+	remotePort === undefined ? '' : `${remoteHost}:${remotePort}`,
+].join('|');
+
+const withHiddenOwners = (sockets, lsofSockets) => {
+	const owners = new Map();
+	for (const socket of lsofSockets) {
+		const key = getSocketKey(socket);
+		owners.set(key, [...owners.get(key) ?? [], socket.pid]);
+	}
+
+	return sockets.flatMap(socket => socket.pid === undefined ? withOwners(socket, owners.get(getSocketKey(socket))) : [socket]);
+};
+
+// Ask `lsof` for the owners of the sockets that the backend could not see, which it sometimes can, like on macOS
+function * addHiddenOwners(context, sockets, {state, netns} = {}) {
+	const ports = getHiddenOwnerPorts(sockets, state);
+	if (ports.length === 0 || !canFindHiddenOwners(context, netns)) {
+		return sockets;
+	}
+
+	try {
+		const {stdout} = yield context.exec(...getLsofCommand(ports));
+		return withHiddenOwners(sockets, parseLsofFieldOutput(stdout));
+	} catch {
+		// Lsof failed or found nothing, so the owners stay unknown
+		return sockets;
+	}
+}
+
+// The innermost PID of a process, like the PID it has inside a container
+const parseNamespacePid = status => {
+	const namespacePids = /^NSpid:\s*(?<pids>.+)$/m.exec(status ?? '')?.groups.pids.trim().split(/\s+/);
+	return namespacePids ? Number.parseInt(namespacePids.at(-1), 10) : undefined;
+};
+
+function * addNamespacePids(context, sockets) {
+	const pids = [...new Set(sockets.map(socket => socket.pid).filter(pid => pid !== undefined))];
+	const statuses = yield context.all(pids.map(pid => context.attempt(() => context.readFile(`/proc/${pid}/status`))));
+	const namespacePids = new Map(pids.map((pid, index) => [pid, parseNamespacePid(statuses[index])]));
+	return sockets.map(socket => socket.pid === undefined ? socket : {...socket, namespacePid: namespacePids.get(socket.pid)});
+}
+
+// The sockets from the first backend of the chain that works, and the name of that backend
+function * getTable(context, {state = 'listen', netns} = {}) {
+	if (netns !== undefined) {
+		validateNetnsPlatform(context.platform);
+	}
+
+	const errors = [];
+	for (const name of getBackendChain(context, netns)) {
+		try {
+			const sockets = yield * runBackend(context, name, {state, netns});
+			return {backend: name, sockets: netns === undefined ? sockets : yield * addNamespacePids(context, sockets)};
+		} catch (error) {
+			errors.push(error);
+		}
+	}
+
+	throw selectBackendError(errors);
+}
+
+// The table with the owners that the backend hides, looked up once for all the queries that read it
+export function * getOwnedTable(context, options) {
+	const {backend, sockets} = yield * getTable(context, options);
+	return {backend, sockets: yield * addHiddenOwners(context, sockets, options)};
+}
+
+export function * getList(context, options) {
+	const {sockets} = yield * getOwnedTable(context, options);
+	return sockets;
+}
+
+export function * getUnixSockets(context) {
+	if (context.platform !== 'linux') {
+		throw new Error('Unix domain socket lookups are only supported on Linux');
+	}
+
+	const chain = context.backends.filter(name => Object.hasOwn(unixSocketBackends, name) && (context.isLocal || !unixSocketBackends[name].isLocalOnly));
+	if (chain.length === 0) {
+		throw new Error(`None of the backends \`${context.backends.join('`, `')}\` can list Unix domain sockets`);
+	}
+
+	const errors = [];
+	for (const name of chain) {
+		try {
+			return yield * listWithBackend(context, unixSocketBackends[name]);
+		} catch (error) {
+			errors.push(error);
+		}
+	}
+
+	throw selectBackendError(errors);
+}
+
+const validateNetnsPlatform = platform => {
+	if (platform !== 'linux') {
+		throw new Error('The `netns` option is only supported on Linux');
+	}
+};
+
+// The steps that list sockets are generators that yield their I/O, so that the same steps run with the I/O of the asynchronous functions and the blocking I/O of the synchronous ones
+const runAsync = async generator => {
+	let result = generator.next();
+	while (!result.done) {
+		let value;
+		try {
+			// eslint-disable-next-line no-await-in-loop
+			value = await result.value;
+		} catch (error) {
+			result = generator.throw(error);
+			continue;
+		}
+
+		result = generator.next(value);
+	}
+
+	return result.value;
+};
+
+const runSync = generator => {
+	let result = generator.next();
+	while (!result.done) {
+		result = generator.next(result.value);
+	}
+
+	return result.value;
+};
+
+// `run` runs a step, `all` waits for several, and `attempt` leaves out reads that fail because the process exited or belongs to another user
+const asyncIo = {
+	run: runAsync,
+	all: values => Promise.all(values),
+	async attempt(read) {
+		try {
+			return await read();
+		} catch {}
+	},
+};
+
+export const syncIo = {
+	run: runSync,
+	all: values => values,
+	attempt(read) {
+		try {
+			return read();
+		} catch {}
+	},
+};
+
+export const createContext = ({exec, platform = process.platform, backends = getDefaultBackends(platform)} = {}) => {
+	if (exec !== undefined && typeof exec !== 'function') {
+		throw new TypeError(`Expected exec to be a function, got ${typeof exec}`);
+	}
+
+	if (typeof platform !== 'string') {
+		throw new TypeError(`Expected platform to be a string, got ${typeof platform}`);
+	}
+
+	validateBackends(backends, platform);
+
+	if (exec === undefined) {
+		return {
+			...asyncIo,
+			exec: withCommandErrors(execa),
+			platform,
+			backends,
+			isLocal: true,
+			readFile: filePath => fs.readFile(filePath, 'utf8'),
+			readLink: filePath => fs.readlink(filePath),
+			readDirectory: directory => fs.readdir(directory),
+			stat: filePath => fs.stat(filePath),
+			kill: (pid, signal) => process.kill(pid, signal),
+		};
+	}
+
+	// Everything goes through the command runner, so it also works for other machines and containers
+	return {
+		...asyncIo,
+		exec: withCommandErrors(exec),
+		platform,
+		backends,
+		isLocal: false,
+		async readFile(filePath) {
+			const {stdout} = await exec('cat', [filePath]);
+			return stdout;
+		},
+		async readLink(filePath) {
+			const {stdout} = await exec('readlink', [filePath]);
+			return stdout.trim();
+		},
+		async kill(pid, signal) {
+			const [command, arguments_] = platform === 'win32'
+				? ['taskkill', ['/PID', String(pid), ...(signal === 'SIGKILL' || signal === 9 ? ['/F'] : [])]]
+				: ['kill', ['-s', String(signal).replace(/^SIG/, ''), String(pid)]];
+
+			try {
+				await exec(command, arguments_);
+			} catch (error) {
+				// Match the error of `process.kill()` for processes that do not exist
+				if (/no such process|not found/i.test(error.stderr ?? '')) {
+					throw Object.assign(new Error(`kill ESRCH ${pid}`), {code: 'ESRCH'});
+				}
+
+				throw error;
+			}
+		},
+	};
+};
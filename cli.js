@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+import process from 'node:process';
+import fs from 'node:fs';
+import {parseArgs} from 'node:util';
+import {
+	pidToPorts,
+	allPortsWithPid,
+	portBindings,
+	createSnapshot,
+	PortNotFoundError,
+	CommandNotFoundError,
+	PermissionDeniedError,
+} from './index.js';
+
+const help = `
+	Get the ID of the process that uses a certain port
+
+	Usage
+	  $ pid-port port <port…>
+	  $ pid-port pid <pid…>
+	  $ pid-port list
+	  $ pid-port bindings <port>
+
+	Options
+	  --host      Host to filter by, use '*' for all interfaces [Default: localhost]
+	              Not taken by the \`pid\` command, which looks at all interfaces
+	  --protocol  Only include 'tcp' or 'udp' sockets
+	  --family    Only include IPv4 (4) or IPv6 (6) sockets
+	  --state     Only include sockets in this state, or 'all' [Default: listen]
+	  --json      Output JSON
+
+	Exit codes
+	  0  Found what was asked for
+	  1  Nothing found for at least one of the ports or process IDs
+	  2  Invalid usage or failed lookup
+
+	Examples
+	  $ pid-port port 8080
+	  1337
+	  $ pid-port pid 1337
+	  8080
+	  22
+	  $ pid-port bindings 8080 --host='*'
+	  HOST       PROTOCOL  STATE   PID
+	  127.0.0.1  tcp       listen  1337
+`;
+
+class UsageError extends Error {}
+
+const formatTable = (headers, rows) => {
+	const widths = headers.map((header, index) => Math.max(header.length, ...rows.map(row => String(row[index]).length)));
+	return [headers, ...rows]
+		.map(row => row.map((cell, index) => String(cell).padEnd(widths[index])).join('  ').trimEnd())
+		.join('\n');
+};
+
+const parseIntegers = (values, name) => {
+	if (values.length === 0) {
+		throw new UsageError(`Expected at least one ${name}`);
+	}
+
+	return values.map(value => {
+		if (!/^\d+$/.test(value)) {
+			throw new UsageError(`Expected ${name} to be an integer, got ${value}`);
+		}
+
+		return Number.parseInt(value, 10);
+	});
+};
+
+const isNotFoundError = error => error instanceof PortNotFoundError;
+
+const commands = {
+	async port(values, {json, ...options}) {
+		const ports = parseIntegers(values, 'port');
+
+		// Look up every port in the same socket table
+		const snapshot = await createSnapshot();
+		const results = await Promise.all(ports.map(async port => {
+			try {
+				const pid = await snapshot.portToPid({port, ...options});
+				if (pid === undefined) {
+					console.error(`Could not determine the process that uses port \`${port}\``);
+				}
+
+				return [port, pid];
+			} catch (error) {
+				if (!isNotFoundError(error)) {
+					throw error;
+				}
+
+				console.error(error.message);
+				return [port, undefined];
+			}
+		}));
+
+		const found = results.filter(([, pid]) => pid !== undefined);
+
+		if (json) {
+			console.log(JSON.stringify(Object.fromEntries(results.map(([port, pid]) => [port, pid ?? null])), undefined, '\t'));
+		} else if (ports.length === 1) {
+			for (const [, pid] of found) {
+				console.log(pid);
+			}
+		} else if (found.length > 0) {
+			console.log(formatTable(['PORT', 'PID'], found));
+		}
+
+		return found.length === ports.length;
+	},
+
+	async pid(values, {json, ...options}) {
+		if (options.host !== undefined) {
+			throw new UsageError('The `pid` command does not take `--host`, as it looks at all interfaces');
+		}
+
+		const pids = parseIntegers(values, 'process ID');
+		const results = [...await pidToPorts(pids, options)].map(([pid, ports]) => [pid, [...ports].sort((a, b) => a - b)]);
+
+		if (json) {
+			console.log(JSON.stringify(Object.fromEntries(results), undefined, '\t'));
+		} else if (pids.length === 1) {
+			for (const port of results[0][1]) {
+				console.log(port);
+			}
+		} else {
+			console.log(formatTable(['PID', 'PORTS'], results.map(([pid, ports]) => [pid, ports.join(', ')])));
+		}
+
+		return results.every(([, ports]) => ports.length > 0);
+	},
+
+	async list(values, {json, ...options}) {
+		if (values.length > 0) {
+			throw new UsageError('The `list` command does not take arguments');
+		}
+
+		const results = [...await allPortsWithPid(options)].sort(([a], [b]) => a - b);
+
+		if (json) {
+			console.log(JSON.stringify(Object.fromEntries(results), undefined, '\t'));
+		} else if (results.length > 0) {
+			console.log(formatTable(['PORT', 'PID'], results));
+		}
+
+		return results.length > 0;
+	},
+
+	async bindings(values, {json, ...options}) {
+		const [port, ...rest] = parseIntegers(values, 'port');
+		if (rest.length > 0) {
+			throw new UsageError('The `bindings` command takes a single port');
+		}
+
+		let bindings;
+		try {
+			bindings = await portBindings(port, options);
+		} catch (error) {
+			if (!isNotFoundError(error)) {
+				throw error;
+			}
+
+			console.error(error.message);
+			bindings = [];
+		}
+
+		if (json) {
+			console.log(JSON.stringify(bindings, undefined, '\t'));
+		} else if (bindings.length > 0) {
+			console.log(formatTable(['HOST', 'PROTOCOL', 'STATE', 'PID'], bindings.map(({host, protocol, state, pid}) => [host, protocol, state, pid])));
+		}
+
+		return bindings.length > 0;
+	},
+};
+
+const run = async () => {
+	const {values: flags, positionals} = parseArgs({
+		allowPositionals: true,
+		options: {
+			host: {type: 'string'},
+			protocol: {type: 'string'},
+			family: {type: 'string'},
+			state: {type: 'string'},
+			json: {type: 'boolean'},
+			help: {type: 'boolean'},
+			version: {type: 'boolean'},
+		},
+	});
+
+	if (flags.help) {
+		console.log(help);
+		return true;
+	}
+
+	if (flags.version) {
+		const {version} = JSON.parse(fs.readFileSync(new URL('package.json', import.meta.url), 'utf8'));
+		console.log(version);
+		return true;
+	}
+
+	const [commandName, ...values] = positionals;
+	if (!Object.hasOwn(commands, commandName ?? '')) {
+		throw new UsageError(commandName === undefined ? 'Expected a command' : `Unknown command \`${commandName}\``);
+	}
+
+	const {help: _help, version: _version, family, ...options} = flags;
+	return commands[commandName](values, family === undefined ? options : {...options, family: /^\d+$/.test(family) ? Number(family) : family});
+};
+
+try {
+	const found = await run();
+	process.exitCode = found ? 0 : 1;
+} catch (error) {
+	// Usage errors and validation errors get a short message, unexpected failures the full error
+	if (error instanceof UsageError || error instanceof TypeError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+		console.error(`${error.message}\n${help}`);
+	} else if (error instanceof CommandNotFoundError || error instanceof PermissionDeniedError) {
+		console.error(error.message);
+	} else {
+		console.error(error);
+	}
+
+	process.exitCode = 2;
+}
@@ -0,0 +1,91 @@
+export class PortNotFoundError extends Error {
+	name = 'PortNotFoundError';
+	code = 'ERR_PORT_NOT_FOUND';
+
+	constructor(message, {port, host, protocol}) {
+		super(message);
+		this.port = port;
+		this.host = host;
+		this.protocol = protocol;
+	}
+}
+
+export class TimeoutError extends Error {
+	name = 'TimeoutError';
+	code = 'ERR_TIMEOUT';
+
+	constructor(message, {port, host, protocol, timeout, pid}) {
+		super(message);
+		this.port = port;
+		this.host = host;
+		this.protocol = protocol;
+		this.timeout = timeout;
+		this.pid = pid;
+	}
+}
+
+export class OwnerHiddenError extends Error {
+	name = 'OwnerHiddenError';
+	code = 'ERR_OWNER_HIDDEN';
+
+	constructor(message, {port, host, protocol}) {
+		super(message);
+		this.port = port;
+		this.host = host;
+		this.protocol = protocol;
+	}
+}
+
+export class KillRefusedError extends Error {
+	name = 'KillRefusedError';
+	code = 'ERR_KILL_REFUSED';
+
+	constructor(message, {pid, port, host, protocol}) {
+		super(message);
+		this.pid = pid;
+		this.port = port;
+		this.host = host;
+		this.protocol = protocol;
+	}
+}
+
+export class CommandNotFoundError extends Error {
+	name = 'CommandNotFoundError';
+	code = 'ERR_COMMAND_NOT_FOUND';
+
+	constructor(command, options) {
+		super(`Could not find the \`${command}\` command`, options);
+		this.command = command;
+	}
+}
+
+export class PermissionDeniedError extends Error {
+	name = 'PermissionDeniedError';
+	code = 'ERR_PERMISSION_DENIED';
+
+	constructor(command, options) {
+		const details = options?.cause?.stderr?.trim().split('\n')[0];
+		super(`Permission denied running \`${command}\`${details ? `: ${details}` : ''}`, options);
+		this.command = command;
+	}
+}
+
+export class SocketPathNotFoundError extends Error {
+	name = 'SocketPathNotFoundError';
+	code = 'ERR_SOCKET_PATH_NOT_FOUND';
+
+	constructor(socketPath) {
+		super(`Could not find a process that listens on the Unix domain socket \`${socketPath}\``);
+		this.path = socketPath;
+	}
+}
+
+export class ParseError extends Error {
+	name = 'ParseError';
+	code = 'ERR_PARSE';
+
+	constructor(line) {
+		super(`Could not parse \`${line}\``);
+		this.line = line;
+	}
+}
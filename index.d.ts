@@ -1,10 +1,348 @@
-export type HostOption = string | undefined;
+export type HostOption = string | readonly string[] | undefined;
+
+export type Protocol = 'tcp' | 'udp';
+
+/**
+The state of a socket, normalized across platforms.
+
+UDP sockets are connectionless, so bound UDP sockets are reported as `listen` (like `ss -l`) and connected ones as `established`. Windows prints the states in the language of the system, so there, sockets in a state with an unknown name are reported as `listen` when they are not connected. Sockets in other states, like `BOUND` on Windows, are left out.
+*/
+export type SocketState =
+	| 'listen'
+	| 'established'
+	| 'syn-sent'
+	| 'syn-received'
+	| 'fin-wait-1'
+	| 'fin-wait-2'
+	| 'time-wait'
+	| 'close'
+	| 'close-wait'
+	| 'last-ack'
+	| 'closing';
+
+export type Options = {
+	/**
+	The host to filter by. Use `'*'`, `'0.0.0.0'`, or `'::'` for all interfaces.
+
+	IPv6 addresses match in any form, like `'0:0:0:0:0:0:0:1'` for `'::1'`, and IPv4-mapped addresses like `'::ffff:10.0.0.5'` match the IPv4 address. Zones, like the `%eth0` of `'fe80::1%eth0'`, only have to match when both the host and the socket have one.
+
+	It can also be a CIDR range like `'10.0.0.0/8'` or `'fd00::/8'`, the name of a network interface of this machine like `'eth0'` or `'docker0'`, which matches the subnets of its addresses, or an array of them, which matches any of them. Interface names throw a `TypeError` with the `netns` option or a custom `exec`, as they are looked up on this machine.
+
+	@default Localhost (`127.0.0.1` and `::1`)
+
+	@example
+	```
+	import {allPortsWithPid} from 'pid-port';
+
+	// What is listening on the Docker bridge
+	console.log(await allPortsWithPid({host: 'docker0'}));
+
+	// What is listening on a private address
+	console.log(await allPortsWithPid({host: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']}));
+	```
+	*/
+	readonly host?: HostOption;
+
+	/**
+	Only include sockets using this protocol.
+
+	@default Both TCP and UDP
+	*/
+	readonly protocol?: Protocol;
+
+	/**
+	Only include sockets on IPv4 (`4`) or IPv6 (`6`) addresses. IPv4-mapped IPv6 addresses like `::ffff:10.0.0.5` count as IPv4, and sockets that listen on every interface of both families, reported with `'*'` as host, match both.
+
+	@default Both
+	*/
+	readonly family?: 4 | 6;
+
+	/**
+	Only include sockets in this state. Use `'all'` to include every state, for example to find which process holds a lingering connection.
+
+	@default 'listen'
+	*/
+	readonly state?: SocketState | 'all';
+
+	/**
+	Look up the sockets of another network namespace, like the one of a container. Either the ID of a process in the namespace, or the path of a namespace file like `/run/netns/name` or `/proc/1337/ns/net`.
+
+	Process IDs are still reported as seen from the current PID namespace, and records get a `namespacePid` with the ID inside the namespace of the process. Only on Linux.
+
+	@default The current network namespace
+	*/
+	readonly netns?: number | string;
+};
+
+export type UnknownOwnersOptions = {
+	/**
+	Include the ports that are in use by a process that cannot be seen, for example because it belongs to another user, with `undefined` as process ID. Bindings of such processes get `ownerHidden: true`.
+
+	Without it, these ports are left out, so a port in use by a hidden process looks the same as a free one.
+
+	@default false
+	*/
+	readonly includeUnknownOwners?: boolean;
+};
+
+export type CacheOptions = {
+	/**
+	Reuse a socket table that an earlier call with caching listed at most this many milliseconds ago, instead of listing the sockets again. Overrides the `cacheTtl` option of `createPidPort()`, and is how to cache with the functions exported by the package, which share one cache.
+
+	@default The `cacheTtl` of `createPidPort()`, which is `0` for the functions exported by the package
+	*/
+	readonly cacheTtl?: number;
+};
+
+/**
+The options of the functions that only read the socket table.
+*/
+export type QueryOptions = Options & CacheOptions;
+
+export type SocketRecord = {
+	protocol: Protocol;
+
+	/**
+	The local host.
+	*/
+	host: string;
+
+	/**
+	The local port.
+	*/
+	port: number;
+
+	/**
+	The remote host. For sockets that are not connected, this is `*` with every backend.
+	*/
+	remoteHost: string;
+
+	/**
+	The remote port. `undefined` for sockets that are not connected.
+	*/
+	remotePort?: number;
+
+	state: SocketState;
+
+	/**
+	The process ID. `undefined` when the owner cannot be seen, for example because it belongs to another user.
+	*/
+	pid?: number;
+
+	/**
+	The command name of the process. Only with the `lsof` backend.
+	*/
+	command?: string;
+
+	/**
+	The number of bytes in the receive queue, if the backend provides it.
+	*/
+	receiveQueue?: number;
+
+	/**
+	The number of bytes in the send queue, if the backend provides it.
+	*/
+	sendQueue?: number;
+
+	/**
+	The user ID of the socket owner. Only on Linux.
+	*/
+	uid?: number;
+
+	/**
+	The socket inode. Only on Linux.
+	*/
+	inode?: number;
+
+	/**
+	The process ID inside the PID namespace of the process, like the ID it has inside a container. Only with the `netns` option.
+	*/
+	namespacePid?: number;
+};
+
+/**
+A socket record of `listSockets()`.
+*/
+export type ListedSocketRecord = SocketRecord & {
+	/**
+	The backend that listed the sockets, like `'ss'`. Owners found with the `lsof` fallback do not change it.
+	*/
+	backend: Backend;
+};
+
+/**
+An inclusive range of ports, like `{from: 3000, to: 3999}`, or `{from: 49152}` for all ports from 49152.
+*/
+export type PortRange = {
+	/**
+	@default 1
+	*/
+	readonly from?: number;
+
+	/**
+	@default 65535
+	*/
+	readonly to?: number;
+};
+
+/**
+Ports and port ranges to look up.
+*/
+export type Ports = PortRange | ReadonlyArray<number | PortRange>;
+
+export type PortBinding = {
+	/**
+	The port. Only when looking up several ports.
+	*/
+	port?: number;
+
+	host: string;
+	pid: number;
+	protocol: Protocol;
+	state: SocketState;
+
+	/**
+	The process ID inside the PID namespace of the process. Only with the `netns` option.
+	*/
+	namespacePid?: number;
+};
+
+/**
+A binding of a process that cannot be seen, for example because it belongs to another user. Only with the `includeUnknownOwners` option.
+*/
+export type HiddenOwnerBinding = Omit<PortBinding, 'pid' | 'namespacePid'> & {
+	pid: undefined;
+	ownerHidden: true;
+};
+
+/**
+Details about a process. Fields that cannot be determined, for example because the process belongs to another user, are `undefined`.
+*/
+export type ProcessInfo = {
+	pid: number;
+
+	/**
+	The process name.
+	*/
+	name?: string;
+
+	/**
+	The full argument vector, including the executable. On macOS and Windows, arguments containing spaces cannot always be told apart.
+	*/
+	arguments?: string[];
+
+	/**
+	The path of the executable.
+	*/
+	executablePath?: string;
+
+	/**
+	The current working directory. Not available on Windows.
+	*/
+	cwd?: string;
+
+	/**
+	The user ID of the process owner. Not available on Windows.
+	*/
+	uid?: number;
+
+	/**
+	The username of the process owner.
+	*/
+	username?: string;
+
+	/**
+	When the process was started.
+	*/
+	startTime?: Date;
+};
+
+export type ProcessInfoOptions = {
+	/**
+	Include details about the process, like its name, arguments, working directory, and owner.
+
+	@default false
+	*/
+	readonly includeProcessInfo?: boolean;
+};
+
+export type WaitOptions = {
+	/**
+	How often to check the port, in milliseconds.
+
+	@default 100
+	*/
+	readonly interval?: number;
+
+	/**
+	How long to wait before rejecting with a `TimeoutError`, in milliseconds.
+
+	@default Infinity
+	*/
+	readonly timeout?: number;
+
+	/**
+	Stop waiting and reject with the abort reason when the signal is aborted.
+	*/
+	readonly signal?: AbortSignal;
+
+	/**
+	Only consider this process ID.
+	*/
+	readonly pid?: number;
+} & Options;
+
+export type PortOwner = {
+	pid: number;
+	process: ProcessInfo;
+};
+
+export type ProcessNode = {
+	pid: number;
+
+	/**
+	The process ID of the parent. `0` for the root of the process tree.
+	*/
+	ppid?: number;
+
+	/**
+	The process name.
+	*/
+	name?: string;
+};
+
+export type AncestorOptions = {
+	/**
+	Include the ancestor chain of the process, from the process that holds the socket up to the root of the process tree.
+
+	@default false
+	*/
+	readonly includeAncestors?: boolean;
+
+	/**
+	Report the topmost ancestor that is still in the same process group or session as the process that holds the socket, instead of that process. For example, the `npm` process of `npm run dev`, which would respawn the server it started.
+
+	Windows has no process groups or sessions, so this always reports the process that holds the socket there.
+
+	@default The process that holds the socket
+	*/
+	readonly selectAncestor?: 'process-group' | 'session';
+};
+
+export type ProcessAncestry = {
+	pid: number;
+
+	/**
+	The process that holds the socket, followed by its parent, grandparent, and so on.
+	*/
+	ancestors: ProcessNode[];
+};
 
 /**
 Get the process ID for a port.
 
-@param portOrOptions - The port number or an options object with port and optional host.
-@returns The process ID.
+@param portOrOptions - The port number or an options object with the port and optional filters.
+@returns The process ID. `undefined` when the port is in use, but the process cannot be seen, for example because it belongs to another user. Ports that are not in use throw a `PortNotFoundError` instead.
 
 Note: By default, only checks localhost (`127.0.0.1` and `::1`). Use `{host: '*'}` to check all interfaces if needed.
 
@@ -25,22 +363,39 @@ try {
 	console.log(await portToPid({port: 8080, host: '127.0.0.1'}));
 	//=> 1337
 
+	// Only UDP sockets
+	console.log(await portToPid({port: 53, protocol: 'udp'}));
+	//=> 4242
+
 	// Check all interfaces (use with caution)
 	console.log(await portToPid({port: 8080, host: '*'}));
 	//=> 1337
+
+	// Include process details
+	console.log(await portToPid({port: 8080, includeProcessInfo: true}));
+	//=> {pid: 1337, process: {pid: 1337, name: 'node', arguments: ['node', 'server.js'], cwd: '/Users/sindresorhus/app', …}}
+
+	// The `npm` process of `npm run dev` instead of the server it started
+	console.log(await portToPid({port: 8080, selectAncestor: 'process-group'}));
+	//=> 1300
 } catch (error) {
 	console.log(error);
 	//=> 'Could not find a process that uses port `8080` on localhost'
 }
 ```
 */
-export function portToPid(portOrOptions: number | {port: number; host?: HostOption}): Promise<number | undefined>;
+export function portToPid(options: {port: number; includeProcessInfo: true; includeAncestors: true} & QueryOptions & AncestorOptions): Promise<(PortOwner & ProcessAncestry) | undefined>;
+export function portToPid(options: {port: number; includeProcessInfo: true} & QueryOptions & AncestorOptions): Promise<PortOwner | undefined>;
+export function portToPid(options: {port: number; includeAncestors: true} & QueryOptions & ProcessInfoOptions & AncestorOptions): Promise<ProcessAncestry | undefined>;
+export function portToPid(portOrOptions: number | ({port: number} & QueryOptions & ProcessInfoOptions & AncestorOptions)): Promise<number | undefined>;
 
 /**
-Get the process IDs for multiple ports.
+Get the process IDs for multiple ports or port ranges.
+
+The socket table is read once, and ranges are matched against it instead of being expanded into their ports.
 
-@param ports - The ports to look up.
-@returns A map with the port as key and the process ID as value.
+@param ports - The ports and port ranges to look up.
+@returns A map with the port as key and the process ID as value. Single ports that are not in use throw, while ranges only include the ports that are in use. Ports in ranges that are in use by a process that cannot be seen are only included with `includeUnknownOwners`.
 
 @example
 ```
@@ -54,19 +409,71 @@ try {
 
 	console.log(pids.get(22));
 	//=> 12345
+
+	// Everything bound between 3000 and 3999
+	console.log(await portToPid({from: 3000, to: 3999}));
+	//=> Map { 3000 => 1337, 3001 => 1338 }
+
+	// With options
+	console.log(await portToPid({port: {from: 49152}, host: '*'}));
+	//=> Map { 51234 => 4242 }
 } catch (error) {
 	console.log(error);
 	//=> 'Could not find a process that uses port `8080`'
 }
 ```
 */
-export function portToPid(ports: number[]): Promise<Map<number, number>>;
+export function portToPid(ports: number[] | Ports): Promise<Map<number, number>>;
+export function portToPid(
+	options: {port: Ports; includeProcessInfo: true; includeAncestors: true} & QueryOptions & AncestorOptions & UnknownOwnersOptions,
+): Promise<Map<number, PortOwner & ProcessAncestry>>;
+export function portToPid(
+	options: {port: Ports; includeProcessInfo: true} & QueryOptions & AncestorOptions & UnknownOwnersOptions,
+): Promise<Map<number, PortOwner>>;
+export function portToPid(
+	options: {port: Ports; includeAncestors: true} & QueryOptions & ProcessInfoOptions & AncestorOptions & UnknownOwnersOptions,
+): Promise<Map<number, ProcessAncestry>>;
+export function portToPid(
+	options: {port: Ports; includeUnknownOwners: true} & QueryOptions & ProcessInfoOptions & AncestorOptions,
+): Promise<Map<number, number | undefined>>;
+export function portToPid(
+	options: {port: Ports} & QueryOptions & ProcessInfoOptions & AncestorOptions & UnknownOwnersOptions,
+): Promise<Map<number, number>>;
+
+/**
+Get the process IDs of every process that uses a port.
+
+Several processes can share a port, like the workers of a Node.js cluster or of nginx, or servers using `SO_REUSEPORT`. `portToPid()` only returns one of them.
+
+@param port - The port to look up.
+@param options - Options object with optional host, protocol, and state filters.
+@returns The process IDs, in the order `portToPid()` picks from. Empty when the port is in use, but the process cannot be determined.
+
+@example
+```
+import {portToPids} from 'pid-port';
+
+console.log(await portToPids(8080));
+//=> [1337, 1338, 1339]
+```
+*/
+export function portToPids(port: number, options?: QueryOptions): Promise<number[]>;
+
+export type PidToPortsOptions = {
+	/**
+	Also include the ports of the processes started by the process, directly or through other processes. The result then maps each port to the process ID that uses it.
+
+	@default false
+	*/
+	readonly includeDescendants?: boolean;
+} & Pick<Options, 'protocol' | 'family' | 'state' | 'netns'> & CacheOptions;
 
 /**
 Get the ports for a process ID.
 
 @param pid - The process ID to look up.
-@returns A set with the ports.
+@param options - Options object with optional protocol and state filters, and whether to include the ports of descendant processes.
+@returns A set with the ports. With `includeDescendants`, a map with the port as key and the process ID that uses it as value.
 
 @example
 ```
@@ -75,17 +482,23 @@ import {pidToPorts} from 'pid-port';
 try {
 	const ports = await pidToPorts(1337);
 	//=> Set { 8080, 22 }
+
+	// Including the ports of child processes, like workers
+	const subtreePorts = await pidToPorts(1337, {includeDescendants: true});
+	//=> Map { 8080 => 1337, 22 => 1337, 9229 => 1340 }
 } catch (error) {
 	console.log(error);
 }
 ```
 */
-export function pidToPorts(pid: number): Promise<Set<number>>;
+export function pidToPorts(pid: number, options: PidToPortsOptions & {includeDescendants: true}): Promise<Map<number, number>>;
+export function pidToPorts(pid: number, options?: PidToPortsOptions): Promise<Set<number>>;
 
 /**
 Get the ports for multiple process IDs.
 
 @param pids - The process IDs to look up.
+@param options - Options object with optional protocol and state filters.
 @returns A map with the process ID as the key and the ports as value.
 
 @example
@@ -100,14 +513,14 @@ try {
 }
 ```
 */
-export function pidToPorts(pids: number[]): Promise<Map<number, Set<number>>>;
+export function pidToPorts(pids: number[], options: PidToPortsOptions & {includeDescendants: true}): Promise<Map<number, Map<number, number>>>;
+export function pidToPorts(pids: number[], options?: PidToPortsOptions): Promise<Map<number, Set<number>>>;
 
 /**
-Get all ports with their process ID, optionally filtered by host.
+Get all ports with their process ID, optionally filtered by host, protocol, and state.
 
-@param options - Options object with optional host filter.
-@param options.host - The host to filter by. Use '*', '0.0.0.0', or '::' for all interfaces.
-@returns A map with the port as key and the process ID as value.
+@param options - Options object with optional host, protocol, and state filters, and whether to include process details.
+@returns A map with the port as key and the process ID as value, or an object with the process ID and process details when `includeProcessInfo` is set.
 
 Note: By default, only checks localhost (`127.0.0.1` and `::1`). Use `{host: '*'}` to check all interfaces if needed.
 
@@ -127,20 +540,44 @@ try {
 	// All interfaces (use with caution)
 	const all = await allPortsWithPid({host: '*'});
 	//=> Map { 8080 => 1337, 22 => 12345, 3000 => 14311 }
+
+	// Only dynamic ports
+	const dynamic = await allPortsWithPid({host: '*', port: {from: 49152}});
+	//=> Map { 51234 => 4242 }
 } catch (error) {
 	console.log(error);
 }
 ```
 */
-export function allPortsWithPid(options?: {host?: HostOption}): Promise<Map<number, number>>;
+export type AllPortsOptions = {
+	/**
+	Only include these ports or port ranges.
+
+	@default All ports
+	*/
+	readonly port?: number | Ports;
+
+	/**
+	Map each port to the process IDs of every process that uses it, instead of to one of them. Several processes can share a port, like the workers of a Node.js cluster.
+
+	@default false
+	*/
+	readonly multiple?: boolean;
+} & Options & UnknownOwnersOptions;
+
+export function allPortsWithPid(options: AllPortsOptions & CacheOptions & {includeProcessInfo: true; multiple: true}): Promise<Map<number, PortOwner[]>>;
+export function allPortsWithPid(options: AllPortsOptions & CacheOptions & {includeProcessInfo: true; includeUnknownOwners: true}): Promise<Map<number, PortOwner | undefined>>;
+export function allPortsWithPid(options: AllPortsOptions & CacheOptions & {includeProcessInfo: true}): Promise<Map<number, PortOwner>>;
+export function allPortsWithPid(options: AllPortsOptions & CacheOptions & ProcessInfoOptions & {multiple: true}): Promise<Map<number, number[]>>;
+export function allPortsWithPid(options: AllPortsOptions & CacheOptions & ProcessInfoOptions & {includeUnknownOwners: true}): Promise<Map<number, number | undefined>>;
+export function allPortsWithPid(options?: AllPortsOptions & CacheOptions & ProcessInfoOptions): Promise<Map<number, number>>;
 
 /**
 Get all process bindings for a specific port.
 
-@param port - The port to look up.
-@param options - Options object with optional host filter.
-@param options.host - The host to filter by. Use '*', '0.0.0.0', or '::' for all interfaces.
-@returns An array of objects with host and process ID information for all bindings.
+@param port - The port to look up, or the ports and port ranges.
+@param options - Options object with optional host, protocol, and state filters, whether to include process details and ancestors, and which process to report.
+@returns An array of objects with host, process ID, protocol, and state information for all bindings. When looking up several ports, each binding also has a `port` property. With `includeProcessInfo`, each binding also has a `process` property with process details, and with `includeAncestors`, an `ancestors` property.
 
 Note: By default, only checks localhost (`127.0.0.1` and `::1`). Use `{host: '*'}` to check all interfaces if needed.
 
@@ -151,17 +588,835 @@ import {portBindings} from 'pid-port';
 try {
 	// Only localhost bindings
 	const bindings = await portBindings(8080);
-	//=> [{host: '127.0.0.1', pid: 1337}]
+	//=> [{host: '127.0.0.1', pid: 1337, protocol: 'tcp', state: 'listen'}]
 
 	// All interfaces (use with caution)
 	const allBindings = await portBindings(8080, {host: '*'});
 	//=> [
-	//   {host: '127.0.0.1', pid: 1337},
-	//   {host: '192.168.1.1', pid: 5678}
+	//   {host: '127.0.0.1', pid: 1337, protocol: 'tcp', state: 'listen'},
+	//   {host: '192.168.1.1', pid: 5678, protocol: 'udp', state: 'listen'}
+	// ]
+
+	// Including connections
+	const connections = await portBindings(8080, {state: 'all'});
+	//=> [
+	//   {host: '127.0.0.1', pid: 1337, protocol: 'tcp', state: 'listen'},
+	//   {host: '127.0.0.1', pid: 1337, protocol: 'tcp', state: 'established'}
 	// ]
 } catch (error) {
 	console.log(error);
 }
 ```
 */
-export function portBindings(port: number, options?: {host?: HostOption}): Promise<Array<{host: string; pid: number}>>;
+export function portBindings(
+	port: number | Ports,
+	options: QueryOptions & AncestorOptions & UnknownOwnersOptions & {includeProcessInfo: true; includeAncestors: true},
+): Promise<Array<PortBinding & PortOwner & ProcessAncestry>>;
+export function portBindings(
+	port: number | Ports,
+	options: QueryOptions & AncestorOptions & UnknownOwnersOptions & {includeProcessInfo: true},
+): Promise<Array<PortBinding & {process: ProcessInfo}>>;
+export function portBindings(
+	port: number | Ports,
+	options: QueryOptions & ProcessInfoOptions & AncestorOptions & UnknownOwnersOptions & {includeAncestors: true},
+): Promise<Array<PortBinding & ProcessAncestry>>;
+export function portBindings(
+	port: number | Ports,
+	options: QueryOptions & ProcessInfoOptions & AncestorOptions & {includeUnknownOwners: true},
+): Promise<Array<PortBinding | HiddenOwnerBinding>>;
+export function portBindings(
+	port: number | Ports,
+	options?: QueryOptions & ProcessInfoOptions & AncestorOptions & UnknownOwnersOptions,
+): Promise<PortBinding[]>;
+
+/**
+Get the full socket records, optionally filtered by host, protocol, and state.
+
+This can be used to build custom views without having to parse the output of `netstat` or `ss`.
+
+@param options - Options object with optional host, protocol, and state filters.
+@returns An array of socket records.
+
+Note: By default, only checks listening sockets on localhost (`127.0.0.1` and `::1`). Use `{host: '*', state: 'all'}` to get every socket.
+
+@example
+```
+import {listSockets} from 'pid-port';
+
+const sockets = await listSockets({host: '*', state: 'all'});
+//=> [
+//   {protocol: 'tcp', host: '127.0.0.1', port: 8080, remoteHost: '*', remotePort: undefined, state: 'listen', pid: 1337, backend: 'procfs', …},
+//   {protocol: 'tcp', host: '127.0.0.1', port: 8080, remoteHost: '127.0.0.1', remotePort: 51234, state: 'established', pid: 1337, backend: 'procfs', …}
+// ]
+```
+*/
+export function listSockets(options?: QueryOptions): Promise<ListedSocketRecord[]>;
+
+/**
+Capture the socket table once and query it with the same functions as the package.
+
+The results of the queries are consistent with each other, and the sockets are listed only once. Process information, ancestors, and descendants are still looked up when a query asks for them.
+
+@param options - The network namespace to capture. Queries on the snapshot cannot use another one.
+
+@example
+```
+import {createSnapshot} from 'pid-port';
+
+const snapshot = await createSnapshot();
+
+const pid = await snapshot.portToPid(8080);
+const ports = await snapshot.pidToPorts(pid);
+//=> Set {8080, 8081}
+```
+*/
+export function createSnapshot(options?: Pick<Options, 'netns'>): Promise<Snapshot>;
+
+/**
+Synchronously get the process ID for a port.
+
+Like `portToPid()`, for code that cannot await, like config loaders and `process.on('exit')` handlers. It has the same options, results, and errors, except for `cacheTtl`.
+
+@param portOrOptions - The port, or the ports and port ranges, to look up, or an options object with the port and filters.
+@returns The process ID, or a map with the port as key and the process ID as value for several ports.
+
+@example
+```
+import {portToPidSync} from 'pid-port';
+
+console.log(portToPidSync(8080));
+//=> 1337
+
+console.log(portToPidSync([8080, 22]));
+//=> Map { 8080 => 1337, 22 => 12345 }
+```
+*/
+export function portToPidSync(options: {port: number; includeProcessInfo: true; includeAncestors: true} & Options & AncestorOptions): (PortOwner & ProcessAncestry) | undefined;
+export function portToPidSync(options: {port: number; includeProcessInfo: true} & Options & AncestorOptions): PortOwner | undefined;
+export function portToPidSync(options: {port: number; includeAncestors: true} & Options & ProcessInfoOptions & AncestorOptions): ProcessAncestry | undefined;
+export function portToPidSync(portOrOptions: number | ({port: number} & Options & ProcessInfoOptions & AncestorOptions)): number | undefined;
+export function portToPidSync(ports: number[] | Ports): Map<number, number>;
+export function portToPidSync(options: {port: Ports; includeProcessInfo: true; includeAncestors: true} & Options & AncestorOptions & UnknownOwnersOptions): Map<number, PortOwner & ProcessAncestry>;
+export function portToPidSync(options: {port: Ports; includeProcessInfo: true} & Options & AncestorOptions & UnknownOwnersOptions): Map<number, PortOwner>;
+export function portToPidSync(options: {port: Ports; includeAncestors: true} & Options & ProcessInfoOptions & AncestorOptions & UnknownOwnersOptions): Map<number, ProcessAncestry>;
+export function portToPidSync(options: {port: Ports; includeUnknownOwners: true} & Options & ProcessInfoOptions & AncestorOptions): Map<number, number | undefined>;
+export function portToPidSync(options: {port: Ports} & Options & ProcessInfoOptions & AncestorOptions & UnknownOwnersOptions): Map<number, number>;
+
+/**
+Synchronously get the ports for a process ID.
+
+Like `pidToPorts()`, for code that cannot await. The `cacheTtl` option is not supported.
+
+@param pid - The process ID, or the process IDs, to look up.
+@param options - Options object with optional protocol and state filters, and whether to include the ports of descendant processes.
+@returns A set with the ports, or a map with the process ID as key and the ports as value for several process IDs. With `includeDescendants`, the ports map to the process ID that uses them.
+
+@example
+```
+import {pidToPortsSync} from 'pid-port';
+
+console.log(pidToPortsSync(1337));
+//=> Set { 8080, 22 }
+```
+*/
+export function pidToPortsSync(pid: number, options: Omit<PidToPortsOptions, keyof CacheOptions> & {includeDescendants: true}): Map<number, number>;
+export function pidToPortsSync(pid: number, options?: Omit<PidToPortsOptions, keyof CacheOptions>): Set<number>;
+export function pidToPortsSync(pids: number[], options: Omit<PidToPortsOptions, keyof CacheOptions> & {includeDescendants: true}): Map<number, Map<number, number>>;
+export function pidToPortsSync(pids: number[], options?: Omit<PidToPortsOptions, keyof CacheOptions>): Map<number, Set<number>>;
+
+/**
+Synchronously get all ports with their process ID.
+
+Like `allPortsWithPid()`, for code that cannot await. The `cacheTtl` option is not supported.
+
+@param options - Options object with optional port, host, protocol, and state filters, and whether to include process details.
+@returns A map with the port as key and the process ID, or the process IDs with `multiple`, as value. With `includeProcessInfo`, an object with the process ID and process details instead.
+
+@example
+```
+import {allPortsWithPidSync} from 'pid-port';
+
+console.log(allPortsWithPidSync());
+//=> Map { 8080 => 1337, 22 => 12345 }
+```
+*/
+export function allPortsWithPidSync(options: AllPortsOptions & {includeProcessInfo: true; multiple: true}): Map<number, PortOwner[]>;
+export function allPortsWithPidSync(options: AllPortsOptions & {includeProcessInfo: true; includeUnknownOwners: true}): Map<number, PortOwner | undefined>;
+export function allPortsWithPidSync(options: AllPortsOptions & {includeProcessInfo: true}): Map<number, PortOwner>;
+export function allPortsWithPidSync(options: AllPortsOptions & ProcessInfoOptions & {multiple: true}): Map<number, number[]>;
+export function allPortsWithPidSync(options: AllPortsOptions & ProcessInfoOptions & {includeUnknownOwners: true}): Map<number, number | undefined>;
+export function allPortsWithPidSync(options?: AllPortsOptions & ProcessInfoOptions): Map<number, number>;
+
+/**
+Synchronously get all process bindings for a port.
+
+Like `portBindings()`, for code that cannot await. The `cacheTtl` option is not supported.
+
+@param port - The port to look up, or the ports and port ranges.
+@param options - Options object with optional host, protocol, and state filters, whether to include process details and ancestors, and which process to report.
+@returns An array of objects with host, process ID, protocol, and state information for all bindings, with the same extra properties as `portBindings()`.
+
+@example
+```
+import {portBindingsSync} from 'pid-port';
+
+console.log(portBindingsSync(8080));
+//=> [{host: '127.0.0.1', pid: 1337, protocol: 'tcp', state: 'listen'}]
+```
+*/
+export function portBindingsSync(
+	port: number | Ports,
+	options: Options & AncestorOptions & UnknownOwnersOptions & {includeProcessInfo: true; includeAncestors: true},
+): Array<PortBinding & PortOwner & ProcessAncestry>;
+export function portBindingsSync(
+	port: number | Ports,
+	options: Options & AncestorOptions & UnknownOwnersOptions & {includeProcessInfo: true},
+): Array<PortBinding & {process: ProcessInfo}>;
+export function portBindingsSync(
+	port: number | Ports,
+	options: Options & ProcessInfoOptions & AncestorOptions & UnknownOwnersOptions & {includeAncestors: true},
+): Array<PortBinding & ProcessAncestry>;
+export function portBindingsSync(
+	port: number | Ports,
+	options: Options & ProcessInfoOptions & AncestorOptions & {includeUnknownOwners: true},
+): Array<PortBinding | HiddenOwnerBinding>;
+export function portBindingsSync(
+	port: number | Ports,
+	options?: Options & ProcessInfoOptions & AncestorOptions & UnknownOwnersOptions,
+): PortBinding[];
+
+/**
+Wait until a process uses a port.
+
+@param port - The port to wait for.
+@param options - Options object with the same filters as `portToPid()`, and how long and how often to check.
+@returns The process ID. When the `pid` option is set, only resolves once that process uses the port.
+
+@example
+```
+import {waitForPortOwner} from 'pid-port';
+
+// Wait for a server to come up
+console.log(await waitForPortOwner(8080, {timeout: 10_000}));
+//=> 1337
+```
+*/
+export function waitForPortOwner(port: number, options?: WaitOptions): Promise<number | undefined>;
+
+/**
+Wait until no process uses a port anymore.
+
+@param port - The port to wait for.
+@param options - Options object with the same filters as `portToPid()`, and how long and how often to check.
+@returns When the `pid` option is set, resolves once that process no longer uses the port, even if other processes do.
+
+@example
+```
+import {waitForPortRelease} from 'pid-port';
+
+// Wait for a killed server to free its port
+await waitForPortRelease(8080, {timeout: 10_000});
+```
+*/
+export function waitForPortRelease(port: number, options?: WaitOptions): Promise<void>;
+
+/**
+A signal name like `'SIGTERM'`, or a signal number.
+*/
+export type Signal = `SIG${string}` | number;
+
+export type KillOptions = {
+	/**
+	The signal to send first. When it is `SIGKILL` or `9`, there is nothing to escalate to.
+
+	@default 'SIGTERM'
+	*/
+	readonly killSignal?: Signal;
+
+	/**
+	How long to wait for the port to be released before sending `SIGKILL`, in milliseconds.
+
+	@default 3000
+	*/
+	readonly gracePeriod?: number;
+
+	/**
+	How often to check whether the port was released, in milliseconds.
+
+	@default 100
+	*/
+	readonly interval?: number;
+
+	/**
+	Only report which processes would be signalled, without sending any signals.
+
+	@default false
+	*/
+	readonly dryRun?: boolean;
+} & Options;
+
+export type KillReport = {
+	/**
+	The process IDs that use the port.
+	*/
+	pids: number[];
+
+	/**
+	The signals that were sent, in order. In dry-run mode, the signals that would be sent first.
+	*/
+	signals: Array<{pid: number; signal: Signal}>;
+
+	/**
+	Whether the port ended up free.
+	*/
+	released: boolean;
+};
+
+/**
+Kill the processes that use a port.
+
+Sends `killSignal` to every process that uses the port, waits for the port to be released, and sends `SIGKILL` to the processes that still hold it after the grace period.
+
+Refuses to kill the current process or the init process (PID 1) with a `KillRefusedError`, and throws an `OwnerHiddenError` when none of the processes can be seen.
+
+@param port - The port to free.
+@param options - Options object with the same filters as `portToPid()`, and how to kill the processes.
+@returns A report of which processes were signalled and whether the port ended up free.
+
+@example
+```
+import {killPortOwner} from 'pid-port';
+
+console.log(await killPortOwner(8080));
+//=> {pids: [1337], signals: [{pid: 1337, signal: 'SIGTERM'}], released: true}
+```
+*/
+export function killPortOwner(port: number, options?: KillOptions): Promise<KillReport>;
+
+export type WatchOptions = {
+	/**
+	How often to check the ports, in milliseconds.
+
+	@default 1000
+	*/
+	readonly interval?: number;
+
+	/**
+	Only watch these ports or port ranges.
+
+	@default All ports
+	*/
+	readonly port?: number | Ports;
+
+	/**
+	Stop watching when the signal is aborted.
+	*/
+	readonly signal?: AbortSignal;
+} & Options;
+
+export type PortEvent = {
+	type: 'bind' | 'unbind';
+	port: number;
+	host: string;
+	protocol: Protocol;
+
+	/**
+	`undefined` when the owner cannot be seen, for example because it belongs to another user.
+	*/
+	pid?: number;
+};
+
+/**
+Watch for processes binding to and unbinding from ports.
+
+The first check emits a `bind` event for every port that is already in use.
+
+@param options - Options object with the same filters as `allPortsWithPid()`, and which ports to watch and how often.
+@returns An async iterable of events. It ends when the `signal` is aborted.
+
+@example
+```
+import {watchPorts} from 'pid-port';
+
+const controller = new AbortController();
+
+for await (const event of watchPorts({host: '*', signal: controller.signal})) {
+	console.log(event);
+	//=> {type: 'bind', port: 8080, host: '127.0.0.1', protocol: 'tcp', pid: 1337}
+}
+```
+*/
+export function watchPorts(options?: WatchOptions): AsyncGenerator<PortEvent, void, undefined>;
+
+export type Backend = 'procfs' | 'ss' | 'netstat' | 'lsof';
+
+export type BackendStatus = {
+	readonly name: Backend;
+
+	/**
+	Whether the backend could list the sockets.
+	*/
+	readonly available: boolean;
+
+	/**
+	Why the backend could not list the sockets, like a `CommandNotFoundError`.
+	*/
+	readonly error?: Error;
+};
+
+/**
+Check which of the backends can list the sockets, for example to diagnose why lookups fail on a slim CI image.
+
+Unlike the lookups, which stop at the first backend that works, every backend is tried.
+
+@returns The backends in the order they are tried.
+
+@example
+```
+import {getAvailableBackends} from 'pid-port';
+
+console.log(await getAvailableBackends());
+//=> [{name: 'procfs', available: true}, {name: 'ss', available: false, error: CommandNotFoundError}, …]
+```
+*/
+export function getAvailableBackends(): Promise<BackendStatus[]>;
+
+/**
+Get the process ID for a Unix domain socket, like the ones of Docker, PostgreSQL, or language servers.
+
+Only sockets that can be connected to are included: listening stream sockets, and bound datagram sockets. Abstract sockets have a path that starts with `@`. Only on Linux, where the sockets are listed with the `procfs` or `ss` backend.
+
+@param socketPath - The path of the socket, as it was bound, or the paths.
+@returns The process ID, or a map with the path as key and the process ID as value for several paths. The process ID is `undefined` when the socket is there, but its process cannot be seen. Paths without a socket throw a `SocketPathNotFoundError`.
+
+@example
+```
+import {socketPathToPid} from 'pid-port';
+
+console.log(await socketPathToPid('/run/docker.sock'));
+//=> 1337
+
+console.log(await socketPathToPid(['/run/docker.sock', '/var/run/postgresql/.s.PGSQL.5432']));
+//=> Map { '/run/docker.sock' => 1337, '/var/run/postgresql/.s.PGSQL.5432' => 42 }
+```
+*/
+export function socketPathToPid(socketPath: string): Promise<number | undefined>;
+export function socketPathToPid(socketPaths: readonly string[]): Promise<Map<string, number | undefined>>;
+
+/**
+Get the paths of the Unix domain sockets that a process listens on.
+
+Like `socketPathToPid()`, only on Linux.
+
+@param pid - The process ID, or the process IDs, to look up.
+@returns A set with the paths, or a map with the process ID as key and the paths as value for several process IDs.
+
+@example
+```
+import {pidToSocketPaths} from 'pid-port';
+
+console.log(await pidToSocketPaths(1337));
+//=> Set { '/run/docker.sock', '/run/docker/metrics.sock' }
+```
+*/
+export function pidToSocketPaths(pid: number): Promise<Set<string>>;
+export function pidToSocketPaths(pids: number[]): Promise<Map<number, Set<string>>>;
+
+export type ExecResult = {
+	stdout: string;
+};
+
+export type CreateOptions = {
+	/**
+	Run a command and resolve with its output, like [`execa`](https://github.com/sindresorhus/execa). It should reject when the command fails, with the output in `error.stderr`.
+
+	Use it to look up ports in other environments, like through `docker exec` or `ssh`, or to feed recorded command output in tests.
+
+	Files are read with `cat` and `readlink` through the command runner, and processes are signalled with `kill` (or `taskkill` on Windows).
+
+	@default Run the command on the local machine
+	*/
+	readonly exec?: (file: string, arguments: string[]) => Promise<ExecResult>;
+
+	/**
+	The platform whose commands and output format to use.
+
+	@default process.platform
+	*/
+	readonly platform?: 'aix' | 'android' | 'darwin' | 'freebsd' | 'haiku' | 'linux' | 'openbsd' | 'sunos' | 'win32' | 'cygwin' | 'netbsd';
+
+	/**
+	The ways to list the sockets, tried in turn until one works, for example when a command is not installed.
+
+	Linux supports `'procfs'` (reading `/proc/net` directly), `'ss'`, `'netstat'`, and `'lsof'`, macOS supports `'netstat'` and `'lsof'`, and Windows supports `'netstat'`. `'procfs'` is skipped with a custom `exec`, and `'lsof'` with the `netns` option. The `lsof` fallback for hidden process IDs is only used when `'lsof'` is in the list.
+
+	@default ['procfs', 'ss', 'netstat', 'lsof'] on Linux, ['netstat', 'lsof'] on macOS, and ['netstat'] on Windows
+	*/
+	readonly backends?: readonly Backend[];
+
+	/**
+	Reuse the socket table for this many milliseconds in `portToPid()`, `portToPids()`, `pidToPorts()`, `allPortsWithPid()`, `portBindings()`, and `listSockets()`, instead of listing the sockets on every call. Calls can still ask for their own `cacheTtl`.
+
+	Useful when calling these functions often, for example for every request of a server. `waitForPortOwner()`, `waitForPortRelease()`, `killPortOwner()`, and `watchPorts()` always use fresh data.
+
+	@default 0
+	*/
+	readonly cacheTtl?: number;
+};
+
+/**
+The query functions of a snapshot, which all use the same socket table.
+*/
+export type Snapshot = {
+	portToPid: typeof portToPid;
+	portToPids: typeof portToPids;
+	pidToPorts: typeof pidToPorts;
+	allPortsWithPid: typeof allPortsWithPid;
+	portBindings: typeof portBindings;
+	listSockets: typeof listSockets;
+
+	/**
+	The backend that listed the sockets.
+	*/
+	readonly backend: Backend;
+};
+
+export type PidPort = Omit<Snapshot, 'backend'> & {
+	createSnapshot: typeof createSnapshot;
+	getAvailableBackends: typeof getAvailableBackends;
+	socketPathToPid: typeof socketPathToPid;
+	pidToSocketPaths: typeof pidToSocketPaths;
+	waitForPortOwner: typeof waitForPortOwner;
+	waitForPortRelease: typeof waitForPortRelease;
+	killPortOwner: typeof killPortOwner;
+	watchPorts: typeof watchPorts;
+};
+
+/**
+Create the functions of this package with a custom command runner and platform.
+
+The top-level functions use the local machine. With a custom `exec`, sockets are listed with `ss` on Linux instead of reading `/proc` directly.
+
+@example
+```
+import {execa} from 'execa';
+import {createPidPort} from 'pid-port';
+
+// Look up ports inside a Docker container
+const {portToPid} = createPidPort({
+	exec: (file, arguments_) => execa('docker', ['exec', 'my-container', file, ...arguments_]),
+	platform: 'linux',
+});
+
+console.log(await portToPid(8080));
+//=> 1
+```
+*/
+export function createPidPort(options?: CreateOptions): PidPort;
+
+/**
+Parse the output of `ss -tunap` or `ss -tunlp` on Linux.
+
+@param text - The output of the command.
+@returns The socket records, unfiltered.
+
+@example
+```
+import {parseSsOutput} from 'pid-port';
+
+console.log(parseSsOutput(`Netid State  Recv-Q Send-Q Local Address:Port Peer Address:Port Process
+tcp   LISTEN 0      511        127.0.0.1:8080      0.0.0.0:*    users:(("node",pid=1337,fd=20))`));
+//=> [{protocol: 'tcp', host: '127.0.0.1', port: 8080, remoteHost: '*', remotePort: undefined, state: 'listen', receiveQueue: 0, sendQueue: 511, pid: 1337}]
+```
+*/
+export function parseSsOutput(text: string): SocketRecord[];
+
+/**
+Parse the output of `netstat -anv -p tcp` and `netstat -anv -p udp` on macOS.
+
+@param text - The output of the command. The output of both commands can be joined with a newline.
+@returns The socket records, unfiltered.
+
+@example
+```
+import {execa} from 'execa';
+import {parseNetstatDarwin} from 'pid-port';
+
+const {stdout} = await execa('ssh', ['my-mac', 'netstat', '-anv', '-p', 'tcp']);
+console.log(parseNetstatDarwin(stdout));
+```
+*/
+export function parseNetstatDarwin(text: string): SocketRecord[];
+
+/**
+Parse the output of `netstat -tunap` or `netstat -tunlp` on Linux.
+
+@param text - The output of the command.
+@returns The socket records, unfiltered.
+
+@example
+```
+import {parseNetstatLinux} from 'pid-port';
+
+console.log(parseNetstatLinux(`Proto Recv-Q Send-Q Local Address           Foreign Address         State       PID/Program name
+tcp        0      0 127.0.0.1:8080          0.0.0.0:*               LISTEN      1337/node`));
+//=> [{protocol: 'tcp', host: '127.0.0.1', port: 8080, remoteHost: '*', remotePort: undefined, state: 'listen', receiveQueue: 0, sendQueue: 0, pid: 1337}]
+```
+*/
+export function parseNetstatLinux(text: string): SocketRecord[];
+
+/**
+Parse the output of `netstat -ano` on Windows.
+
+@param text - The output of the command.
+@returns The socket records, unfiltered.
+
+@example
+```
+import {parseNetstatWindows} from 'pid-port';
+
+console.log(parseNetstatWindows(`  Proto  Local Address          Foreign Address        State           PID
+  TCP    127.0.0.1:8080         0.0.0.0:0              LISTENING       1337`));
+//=> [{protocol: 'tcp', host: '127.0.0.1', port: 8080, remoteHost: '*', remotePort: undefined, state: 'listen', receiveQueue: undefined, sendQueue: undefined, pid: 1337}]
+```
+*/
+export function parseNetstatWindows(text: string): SocketRecord[];
+
+/**
+Parse the output of `lsof -nP -i` on Linux or macOS.
+
+@param text - The output of the command.
+@returns The socket records, unfiltered. `lsof` does not report queue sizes.
+
+@example
+```
+import {parseLsofOutput} from 'pid-port';
+
+console.log(parseLsofOutput(`COMMAND  PID  USER   FD   TYPE DEVICE SIZE/OFF NODE NAME
+node    1337 alice  20u  IPv4 0x1234      0t0  TCP 127.0.0.1:8080 (LISTEN)`));
+//=> [{protocol: 'tcp', host: '127.0.0.1', port: 8080, remoteHost: '*', remotePort: undefined, state: 'listen', receiveQueue: undefined, sendQueue: undefined, pid: 1337}]
+```
+*/
+export function parseLsofOutput(text: string): SocketRecord[];
+
+/**
+Parse the machine-readable output of `lsof -nP -F pcnPtT -i` on Linux or macOS.
+
+@param text - The output of the command.
+@returns The socket records, unfiltered. Queue sizes are only included when `lsof` reports them.
+
+@example
+```
+import {parseLsofFieldOutput} from 'pid-port';
+
+console.log(parseLsofFieldOutput('p1337\ncnode\ntIPv4\nPTCP\nn127.0.0.1:8080\nTST=LISTEN\n'));
+//=> [{protocol: 'tcp', host: '127.0.0.1', port: 8080, remoteHost: '*', remotePort: undefined, state: 'listen', receiveQueue: undefined, sendQueue: undefined, pid: 1337, command: 'node'}]
+```
+*/
+export function parseLsofFieldOutput(text: string): SocketRecord[];
+
+/**
+Thrown when no process uses a port, which `portToPid()`, `portToPids()`, `portBindings()`, and `killPortOwner()` require.
+
+@example
+```
+import {portToPid, PortNotFoundError} from 'pid-port';
+
+try {
+	await portToPid(8080);
+} catch (error) {
+	if (!(error instanceof PortNotFoundError)) {
+		throw error;
+	}
+
+	console.log(error.port, error.host);
+	//=> 8080 'localhost'
+}
+```
+*/
+export class PortNotFoundError extends Error {
+	readonly name: 'PortNotFoundError';
+	readonly code: 'ERR_PORT_NOT_FOUND';
+
+	/**
+	The port, or the ports and port ranges, that were looked up.
+	*/
+	readonly port: number | Ports;
+
+	/**
+	The host that was looked up: `'localhost'` by default, `'*'` for all interfaces, or the given host or hosts.
+	*/
+	readonly host: string | readonly string[];
+
+	/**
+	The protocol that was looked up, if any.
+	*/
+	readonly protocol?: Protocol;
+
+	constructor(message: string, options: {port: number | Ports; host: string | readonly string[]; protocol?: Protocol});
+}
+
+/**
+Thrown when `waitForPortOwner()` or `waitForPortRelease()` reach their `timeout`.
+
+@example
+```
+import {waitForPortOwner, TimeoutError} from 'pid-port';
+
+try {
+	await waitForPortOwner(8080, {timeout: 10_000});
+} catch (error) {
+	if (!(error instanceof TimeoutError)) {
+		throw error;
+	}
+
+	console.log(`Nothing used port ${error.port} within ${error.timeout} milliseconds`);
+}
+```
+*/
+export class TimeoutError extends Error {
+	readonly name: 'TimeoutError';
+	readonly code: 'ERR_TIMEOUT';
+
+	/**
+	The port that was waited for.
+	*/
+	readonly port: number;
+
+	/**
+	The host that was waited for: `'localhost'` by default, `'*'` for all interfaces, or the given host or hosts.
+	*/
+	readonly host: string | readonly string[];
+
+	/**
+	The protocol that was waited for, if any.
+	*/
+	readonly protocol?: Protocol;
+
+	/**
+	The timeout, in milliseconds.
+	*/
+	readonly timeout: number;
+
+	/**
+	The process that was waited for, if any.
+	*/
+	readonly pid?: number;
+
+	constructor(message: string, options: {port: number; host: string | readonly string[]; protocol?: Protocol; timeout: number; pid?: number});
+}
+
+/**
+Thrown by `killPortOwner()` when a port is in use, but none of the processes that use it can be seen, for example because they belong to another user.
+*/
+export class OwnerHiddenError extends Error {
+	readonly name: 'OwnerHiddenError';
+	readonly code: 'ERR_OWNER_HIDDEN';
+
+	/**
+	The port that was looked up.
+	*/
+	readonly port: number;
+
+	/**
+	The host that was looked up: `'localhost'` by default, `'*'` for all interfaces, or the given host or hosts.
+	*/
+	readonly host: string | readonly string[];
+
+	/**
+	The protocol that was looked up, if any.
+	*/
+	readonly protocol?: Protocol;
+
+	constructor(message: string, options: {port: number; host: string | readonly string[]; protocol?: Protocol});
+}
+
+/**
+Thrown by `killPortOwner()` when a port is used by the current process or the init process (PID 1), which it refuses to kill.
+*/
+export class KillRefusedError extends Error {
+	readonly name: 'KillRefusedError';
+	readonly code: 'ERR_KILL_REFUSED';
+
+	/**
+	The process that was not killed.
+	*/
+	readonly pid: number;
+
+	/**
+	The port that was looked up.
+	*/
+	readonly port: number;
+
+	/**
+	The host that was looked up: `'localhost'` by default, `'*'` for all interfaces, or the given host or hosts.
+	*/
+	readonly host: string | readonly string[];
+
+	/**
+	The protocol that was looked up, if any.
+	*/
+	readonly protocol?: Protocol;
+
+	constructor(message: string, options: {pid: number; port: number; host: string | readonly string[]; protocol?: Protocol});
+}
+
+/**
+Thrown when a command needed to list the sockets, like `ss`, `netstat`, or `nsenter`, is not installed.
+*/
+export class CommandNotFoundError extends Error {
+	readonly name: 'CommandNotFoundError';
+	readonly code: 'ERR_COMMAND_NOT_FOUND';
+
+	/**
+	The missing command.
+	*/
+	readonly command: string;
+
+	constructor(command: string, options?: ErrorOptions);
+}
+
+/**
+Thrown when a command needed to list the sockets is not allowed to run or to read what it needs, like `nsenter` for the network namespace of another user.
+*/
+export class PermissionDeniedError extends Error {
+	readonly name: 'PermissionDeniedError';
+	readonly code: 'ERR_PERMISSION_DENIED';
+
+	/**
+	The command that failed.
+	*/
+	readonly command: string;
+
+	constructor(command: string, options?: ErrorOptions);
+}
+
+/**
+Thrown when no process listens on a Unix domain socket, which `socketPathToPid()` requires.
+*/
+export class SocketPathNotFoundError extends Error {
+	readonly name: 'SocketPathNotFoundError';
+	readonly code: 'ERR_SOCKET_PATH_NOT_FOUND';
+
+	/**
+	The path that was looked up.
+	*/
+	readonly path: string;
+
+	constructor(socketPath: string);
+}
+
+/**
+Thrown when the output of a command cannot be parsed, like a truncated line.
+*/
+export class ParseError extends Error {
+	readonly name: 'ParseError';
+	readonly code: 'ERR_PARSE';
+
+	/**
+	The line, or the output, that could not be parsed.
+	*/
+	readonly line: string;
+
+	constructor(line: string);
+}
@@ -1,360 +1,478 @@
 import process from 'node:process';
-import {execa} from 'execa';
-
-const netstat = async type => {
-	const {stdout} = await execa('netstat', ['-anv', '-p', type]);
-	return stdout;
-};
-
-const macos = async () => {
-	const [tcp, udp] = await Promise.all([
-		netstat('tcp'),
-		netstat('udp'),
-	]);
-
-	// Column headers are on the second line
-	const headerStart = tcp.indexOf('\n') + 1;
-	const header = tcp.slice(headerStart, tcp.indexOf('\n', headerStart));
-
-	return {
-		stdout: [tcp, udp].join('\n'),
-		addressColumn: 3,
-		// Some versions of macOS print two extra columns for rxbytes and
-		// txbytes before pid. Unfortunately headers can't be parsed because
-		// they're space separated but some contain spaces, so we use this
-		// heuristic to distinguish the two netstat versions.
-		pidColumn: header.includes('rxbytes') ? 10 : 8,
-	};
-};
-
-const lsofFallback = async port => {
-	// Only used when columns do not contain PID info due to privileges
-	// -nP: no DNS, numeric ports; -i: filter; -sTCP:LISTEN to prefer listeners
-	const args = ['-nP'];
-	if (port) {
-		args.push('-i', `:${port}`);
+import os from 'node:os';
+import {setTimeout as delay} from 'node:timers/promises';
+import {
+	TimeoutError,
+	OwnerHiddenError,
+	KillRefusedError,
+	SocketPathNotFoundError,
+} from './errors.js';
+import {
+	createHostFilter,
+	createPortMatcher,
+	createPortNotFoundError,
+	describePort,
+	filterPortSockets,
+	filterSockets,
+	getErrorHost,
+	pickPortPid,
+	validateCacheTtl,
+	validateHostScope,
+	validateNetns,
+	validateOptions,
+	validatePid,
+	validatePort,
+	validatePorts,
+} from './lookups.js';
+import {
+	createContext,
+	getBackendChain,
+	getList,
+	getOwnedTable,
+	getUnixSockets,
+	runBackend,
+} from './backends.js';
+import {createQueries} from './queries.js';
+
+export {
+	PortNotFoundError,
+	TimeoutError,
+	OwnerHiddenError,
+	KillRefusedError,
+	CommandNotFoundError,
+	PermissionDeniedError,
+	SocketPathNotFoundError,
+	ParseError,
+} from './errors.js';
+export {
+	parseSsOutput,
+	parseNetstatDarwin,
+	parseNetstatLinux,
+	parseNetstatWindows,
+	parseLsofOutput,
+	parseLsofFieldOutput,
+} from './parsers.js';
+export {
+	portToPidSync,
+	pidToPortsSync,
+	allPortsWithPidSync,
+	portBindingsSync,
+} from './sync.js';
+
+const validateWaitOptions = ({interval, timeout, pid} = {}) => {
+	if (interval !== undefined && !(typeof interval === 'number' && interval > 0)) {
+		throw new TypeError(`Expected interval to be a positive number, got ${interval}`);
 	}
 
-	const {stdout} = await execa('lsof', args);
-	return stdout;
-};
+	if (timeout !== undefined && !(typeof timeout === 'number' && timeout >= 0)) {
+		throw new TypeError(`Expected timeout to be a non-negative number, got ${timeout}`);
+	}
 
-const linux = async () => {
-	const {stdout} = await execa('ss', ['-tunlp']);
-	return {stdout, addressColumn: 4, pidColumn: 6};
+	if (pid !== undefined) {
+		validatePid(pid);
+	}
 };
 
-const windows = async () => {
-	const {stdout} = await execa('netstat', ['-ano']);
-	return {stdout, addressColumn: 1, pidColumn: 4};
+const createTimeoutError = (port, options, expectation) => {
+	const hostFilter = createHostFilter(options.host);
+	const processDescription = options.pid === undefined ? '' : ` by process ${options.pid}`;
+	return new TimeoutError(`Timed out after ${options.timeout} milliseconds waiting for ${describePort(port, hostFilter, options.protocol)} to be ${expectation}${processDescription}`, {
+		port,
+		host: getErrorHost(hostFilter),
+		protocol: options.protocol,
+		timeout: options.timeout,
+		pid: options.pid,
+	});
 };
 
-const isProtocol = value => /^\s*(tcp|udp)/i.test(value);
+// Re-read the socket table until `check` reports that it is done, or resolve with `{done: false}` on timeout
+const pollPort = async (context, port, options, check) => {
+	const {
+		interval = 100,
+		timeout = Number.POSITIVE_INFINITY,
+		signal,
+	} = options;
+
+	const hostFilter = createHostFilter(options.host);
+	const startTime = Date.now();
+
+	for (;;) {
+		signal?.throwIfAborted();
+
+		// eslint-disable-next-line no-await-in-loop
+		const matchingPorts = filterPortSockets(port, await context.run(getList(context, options)), hostFilter, options);
+		// eslint-disable-next-line no-await-in-loop
+		const result = await check(matchingPorts);
+		if (result.done) {
+			return result;
+		}
 
-const stripIpv6Brackets = host =>
-	host?.startsWith('[') && host.endsWith(']') ? host.slice(1, -1) : host;
+		const remainingTime = timeout - (Date.now() - startTime);
+		if (remainingTime <= 0) {
+			return {done: false};
+		}
 
-const normalizeHost = host => {
-	const normalizedHost = stripIpv6Brackets(host);
-	if (normalizedHost === 'localhost') {
-		return '127.0.0.1';
+		try {
+			// eslint-disable-next-line no-await-in-loop
+			await delay(Math.min(interval, remainingTime), undefined, {signal});
+		} catch (error) {
+			// Reject with the abort reason, like when the signal was already aborted
+			signal?.throwIfAborted();
+			throw error;
+		}
 	}
+};
 
-	if (normalizedHost === '::ffff:127.0.0.1') {
-		return '127.0.0.1';
-	}
+const isReleased = (matchingPorts, pid) => pid === undefined
+	? matchingPorts.length === 0
+	: !matchingPorts.some(socket => socket.pid === pid);
+
+// Signal numbers like `9` stand for the same signal as names like `'SIGKILL'`
+const normalizeSignal = signal => typeof signal === 'number'
+	? Object.keys(os.constants.signals).find(name => os.constants.signals[name] === signal) ?? signal
+	: signal;
+
+const sendSignal = async (context, pid, signal) => {
+	try {
+		await context.kill(pid, signal);
+		return true;
+	} catch (error) {
+		// The process already exited
+		if (error.code === 'ESRCH') {
+			return false;
+		}
 
-	if (normalizedHost === '::') {
-		return '*';
+		throw error;
 	}
-
-	return normalizedHost;
 };
 
-const parsePid = pid => {
-	if (typeof pid !== 'string') {
-		return;
-	}
-
-	// Linux ss: users:(("node",pid=1337,fd=123))
-	const linuxMatch = /pid=(?<pid>\d+)/.exec(pid);
-	if (linuxMatch?.groups?.pid) {
-		return Number.parseInt(linuxMatch.groups.pid, 10);
+const validateSocketPath = socketPath => {
+	if (typeof socketPath !== 'string' || socketPath === '') {
+		throw new TypeError(`Expected a Unix domain socket path, got ${typeof socketPath === 'string' ? 'an empty string' : typeof socketPath}`);
 	}
+};
 
-	// MacOS netstat - handles both old format (macOS 15 and older) and new format (macOS 26+)
-	// Old format: "1337" or ",1337" or ",pid=1337"
-	// New format: "prog:1337" (macOS 26+)
-	const macMatch = /(?:^|",|",pid=|[A-Za-z]+:)(?<pid>\d+)/.exec(pid);
-	if (macMatch?.groups?.pid) {
-		return Number.parseInt(macMatch.groups.pid, 10);
+// Like `portToPid()`, the owner is `undefined` when the socket is there, but its process cannot be seen
+const findSocketPathPid = (socketPath, sockets) => {
+	const matchingSockets = sockets.filter(socket => socket.path === socketPath);
+	if (matchingSockets.length === 0) {
+		throw new SocketPathNotFoundError(socketPath);
 	}
 
-	// Windows netstat -ano: 1337
-	if (/^\d+$/.test(pid)) {
-		return Number.parseInt(pid, 10);
-	}
+	return matchingSockets.find(socket => socket.pid !== undefined)?.pid;
 };
 
-// Search for PID starting from pidColumn, handling process names with spaces
-// When process names contain spaces (e.g., "next-server (v16.1.1)"), the ss output
-// gets split into multiple columns, so we need to search across all columns from pidColumn
-const findPidInLine = (line, pidColumn) => {
-	for (const column of line.slice(pidColumn)) {
-		const pid = parsePid(column);
-		if (pid !== undefined) {
-			return pid;
-		}
+const groupSocketPathsByPid = (pids, sockets) => {
+	const resultMap = new Map(pids.map(pid => [pid, new Set()]));
+	for (const {path: socketPath, pid} of sockets) {
+		resultMap.get(pid)?.add(socketPath);
 	}
-};
 
-const parseAddress = address => {
-	// Match "...:123" or "... .123" with the port at the end; keep host greedy to the last separator
-	const match = /^(?<host>.+?)[.:](?<port>\d+)$/.exec(address);
-	const rawHost = match?.groups?.host ?? address;
-	const host = normalizeHost(rawHost);
-	const port = match?.groups?.port ? Number.parseInt(match.groups.port, 10) : undefined;
-	return {host, port};
+	return resultMap;
 };
 
-const isLocalhostAddress = host => host === '127.0.0.1' || host === '::1';
-
-const createHostFilter = host => {
-	const normalizedHost = host === undefined ? undefined : normalizeHost(host);
-	if (normalizedHost === '*' || normalizedHost === '0.0.0.0' || normalizedHost === '::') {
-		return {type: 'all'};
-	}
+// Reuses a table for `cacheTtl` milliseconds, separately for listening sockets, all sockets, and each namespace. Calls can ask for their own `cacheTtl`.
+const createCachedTable = (context, defaultCacheTtl = 0) => {
+	const cache = new Map();
 
-	if (normalizedHost === undefined) {
-		return {type: 'localhost'};
-	}
-
-	return {type: 'specific', host: normalizedHost};
-};
+	return (options = {}) => {
+		const {cacheTtl = defaultCacheTtl} = options;
+		if (cacheTtl === 0) {
+			return context.run(getOwnedTable(context, options));
+		}
 
-const applyHostFilter = (lines, addressColumn, hostFilter) => {
-	if (hostFilter.type === 'all') {
-		return lines;
-	}
+		const key = `${options.state === undefined || options.state === 'listen' ? 'listen' : 'all'}:${options.netns ?? ''}`;
+		const entry = cache.get(key);
+		if (entry !== undefined && Date.now() - entry.time < cacheTtl) {
+			return entry.promise;
+		}
 
-	if (hostFilter.type === 'localhost') {
-		return lines.filter(line => {
-			const {host} = parseAddress(line[addressColumn]);
-			return isLocalhostAddress(host);
-		});
-	}
+		const newEntry = {time: Date.now()};
+		newEntry.promise = (async () => {
+			try {
+				return await context.run(getOwnedTable(context, options));
+			} catch (error) {
+				// Failed lookups are not cached
+				if (cache.get(key) === newEntry) {
+					cache.delete(key);
+				}
+
+				throw error;
+			}
+		})();
 
-	// Specific host
-	return lines.filter(line => {
-		const {host} = parseAddress(line[addressColumn]);
-		return host === hostFilter.host;
-	});
+		cache.set(key, newEntry);
+		return newEntry.promise;
+	};
 };
 
-const sortByHostPriority = (items, getAddress) => items.sort((a, b) => {
-	const addressA = getAddress(a);
-	const addressB = getAddress(b);
-
-	// Prefer IPv4 localhost over IPv6 localhost
-	if (addressA.startsWith('127.0.0.1') && addressB.startsWith('::1')) {
-		return -1;
-	}
+export function createPidPort(options) {
+	const context = createContext(options);
+	validateCacheTtl(options?.cacheTtl);
 
-	if (addressA.startsWith('::1') && addressB.startsWith('127.0.0.1')) {
-		return 1;
-	}
+	const loadTable = createCachedTable(context, options?.cacheTtl);
 
-	// For other addresses, sort alphabetically
-	return addressA.localeCompare(addressB);
-});
+	const {
+		portToPid,
+		portToPids,
+		pidToPorts,
+		allPortsWithPid,
+		portBindings,
+		listSockets,
+	} = createQueries(context, loadTable);
 
-const createPortErrorMessage = (port, hostFilter) => {
-	if (hostFilter.type === 'localhost') {
-		return `Could not find a process that uses port \`${port}\` on localhost`;
-	}
+	async function createSnapshot(snapshotOptions) {
+		validateNetns(snapshotOptions?.netns);
 
-	if (hostFilter.type === 'specific') {
-		return `Could not find a process that uses port \`${port}\` on host \`${hostFilter.host}\``;
-	}
+		const {netns} = snapshotOptions ?? {};
+		const table = await context.run(getOwnedTable(context, {state: 'all', netns}));
 
-	return `Could not find a process that uses port \`${port}\``;
-};
+		const queries = createQueries(context, async queryOptions => {
+			if (queryOptions?.netns !== undefined && queryOptions.netns !== netns) {
+				throw new TypeError('The `netns` option must match the namespace the snapshot was taken in');
+			}
 
-const validatePort = (port, context = 'a TCP/UDP port') => {
-	if (!Number.isInteger(port) || port < 1 || port > 65_535) {
-		throw new TypeError(`Expected ${context} between 1 and 65535, got ${port}`);
-	}
-};
+			validateHostScope(queryOptions?.host, context, netns);
+			return table;
+		});
 
-const validateHost = host => {
-	if (host !== undefined && typeof host !== 'string') {
-		throw new TypeError(`Expected host to be a string, got ${typeof host}`);
+		return {...queries, backend: table.backend};
 	}
-};
 
-const validatePid = pid => {
-	if (!Number.isInteger(pid)) {
-		throw new TypeError(`Expected an integer, got ${typeof pid}`);
+	// Try every backend instead of stopping at the first that works
+	async function getAvailableBackends() {
+		return Promise.all(context.backends.map(async name => {
+			try {
+				getBackendChain({...context, backends: [name]});
+				await context.run(runBackend(context, name, {state: 'listen'}));
+				return {name, available: true};
+			} catch (error) {
+				return {name, available: false, error};
+			}
+		}));
 	}
-};
 
-const filterPortLines = (port, {lines, addressColumn}, hostFilter) => {
-	const regex = new RegExp(`[.:]${port}$`);
-	const matchingPorts = lines.filter(line => regex.test(line[addressColumn]));
-	return applyHostFilter(matchingPorts, addressColumn, hostFilter);
-};
-
-const getPort = async (port, {lines, addressColumn, pidColumn}, host) => {
-	validatePort(port);
-	const hostFilter = createHostFilter(host);
-	const matchingPorts = filterPortLines(port, {lines, addressColumn}, hostFilter);
+	async function socketPathToPid(socketPath) {
+		for (const entry of [socketPath].flat()) {
+			validateSocketPath(entry);
+		}
 
-	if (matchingPorts.length === 0) {
-		throw new Error(createPortErrorMessage(port, hostFilter));
+		const sockets = await context.run(getUnixSockets(context));
+		return Array.isArray(socketPath)
+			? new Map(socketPath.map(entry => [entry, findSocketPathPid(entry, sockets)]))
+			: findSocketPathPid(socketPath, sockets);
 	}
 
-	// Sort with localhost priority
-	sortByHostPriority(matchingPorts, line => line[addressColumn]);
+	async function pidToSocketPaths(pid) {
+		if (!Array.isArray(pid)) {
+			validatePid(pid);
+		}
 
-	const pid = findPidInLine(matchingPorts[0], pidColumn);
-	if (pid !== undefined) {
-		return pid;
+		const resultMap = groupSocketPathsByPid([pid].flat(), await context.run(getUnixSockets(context)));
+		return Array.isArray(pid) ? resultMap : resultMap.get(pid);
 	}
 
-	// Fallback when PID info is hidden/privileged (Linux/macOS)
-	if (process.platform === 'darwin' || process.platform === 'linux') {
-		try {
-			const out = await lsofFallback(port);
+	async function waitForPortOwner(port, options = {}) {
+		validatePort(port);
+		validateOptions(options, context);
+		validateWaitOptions(options);
 
-			// Match ":PORT" and capture PID column (more precise)
-			const match = new RegExp(`[\\[\\]:.]${port}\\s.*?\\s+(\\d+)\\s+`).exec(out);
-			if (match?.[1]) {
-				return Number.parseInt(match[1], 10);
+		const result = await pollPort(context, port, options, async matchingPorts => {
+			if (options.pid !== undefined) {
+				return {done: matchingPorts.some(socket => socket.pid === options.pid), value: options.pid};
 			}
-		} catch {
-			// Lsof failed, continue with original error
-		}
-	}
-
-	return undefined;
-};
 
-const platformImplementations = {darwin: macos, linux};
-const implementation = platformImplementations[process.platform] ?? windows;
-
-const getList = async () => {
-	const {stdout, addressColumn, pidColumn} = await implementation();
-
-	const lines = stdout
-		.split('\n')
-		.filter(line => isProtocol(line))
-		.map(line => line.match(/\S+/g) || []);
-	return {lines, addressColumn, pidColumn};
-};
+			if (matchingPorts.length === 0) {
+				return {done: false};
+			}
 
-export async function portToPid(portOrOptions) {
-	// Handle options object: {port: 8080, host: '127.0.0.1'}
-	if (typeof portOrOptions === 'object' && !Array.isArray(portOrOptions) && 'port' in portOrOptions) {
-		const {port, host} = portOrOptions;
-		validatePort(port, 'port to be an integer');
-		validateHost(host);
-		return getPort(port, await getList(), host);
-	}
+			// Like `portToPid()`, the owner can be `undefined` when it cannot be seen
+			return {done: true, value: pickPortPid(matchingPorts)};
+		});
 
-	// Handle array of ports: [8080, 8081]
-	if (Array.isArray(portOrOptions)) {
-		const ports = portOrOptions;
-		for (const value of ports) {
-			validatePort(value, 'port to be an integer');
+		if (!result.done) {
+			throw createTimeoutError(port, options, 'used');
 		}
 
-		const list = await getList();
-		const results = await Promise.all(ports.map(async port => [port, await getPort(port, list)]));
-		return new Map(results);
+		return result.value;
 	}
 
-	// Handle single port: 8080
-	const port = portOrOptions;
-	validatePort(port);
-	return getPort(port, await getList());
-}
+	async function waitForPortRelease(port, options = {}) {
+		validatePort(port);
+		validateOptions(options, context);
+		validateWaitOptions(options);
 
-const getPidsToPortsMap = async pids => {
-	const resultMap = new Map(pids.map(pid => [pid, new Set()]));
+		const result = await pollPort(context, port, options, matchingPorts => ({done: isReleased(matchingPorts, options.pid)}));
 
-	// Get all ports from all interfaces for pidToPorts - user wants to know ALL ports this PID uses
-	for (const [port, pid] of await allPortsWithPid({host: '*'})) {
-		resultMap.get(pid)?.add(port);
+		if (!result.done) {
+			throw createTimeoutError(port, options, 'released');
+		}
 	}
 
-	return resultMap;
-};
+	async function killPortOwner(port, options = {}) {
+		validatePort(port);
+		validateOptions(options, context);
+		validateWaitOptions({interval: options.interval});
 
-export async function pidToPorts(pid) {
-	if (Array.isArray(pid)) {
-		return getPidsToPortsMap(pid);
-	}
+		const {
+			killSignal = 'SIGTERM',
+			gracePeriod = 3000,
+			dryRun = false,
+		} = options;
 
-	validatePid(pid);
-	const resultMap = await getPidsToPortsMap([pid]);
-	return resultMap.get(pid);
-}
-
-export async function allPortsWithPid(options) {
-	validateHost(options?.host);
-	const {lines, addressColumn, pidColumn} = await getList();
-	const hostFilter = createHostFilter(options?.host);
+		if (!(typeof gracePeriod === 'number' && gracePeriod >= 0)) {
+			throw new TypeError(`Expected gracePeriod to be a non-negative number, got ${gracePeriod}`);
+		}
 
-	const resultMap = new Map();
+		const hostFilter = createHostFilter(options.host);
+		const matchingPorts = filterPortSockets(port, await context.run(getList(context, options)), hostFilter, options);
 
-	// Apply host filtering to all lines, then extract ports
-	const filteredLines = applyHostFilter(lines, addressColumn, hostFilter);
+		if (matchingPorts.length === 0) {
+			throw createPortNotFoundError(port, hostFilter, options.protocol);
+		}
 
-	for (const line of filteredLines) {
-		const {port} = parseAddress(line[addressColumn]);
-		const pid = findPidInLine(line, pidColumn);
+		const errorOptions = {port, host: getErrorHost(hostFilter), protocol: options.protocol};
+		const pids = [...new Set(matchingPorts.map(socket => socket.pid).filter(pid => pid !== undefined))];
+		if (pids.length === 0) {
+			throw new OwnerHiddenError(`Could not determine the process that uses ${describePort(port, hostFilter, options.protocol)}`, errorOptions);
+		}
 
-		if (port !== undefined && pid !== undefined) {
-			resultMap.set(port, pid);
+		// Only a local context shares the process ID space with the current process
+		if (context.isLocal && pids.includes(process.pid)) {
+			throw new KillRefusedError(`Refusing to kill the current process (${process.pid}) that uses ${describePort(port, hostFilter, options.protocol)}`, {...errorOptions, pid: process.pid});
 		}
-	}
 
-	return resultMap;
-}
+		if (pids.includes(1)) {
+			throw new KillRefusedError(`Refusing to kill the init process (1) that uses ${describePort(port, hostFilter, options.protocol)}`, {...errorOptions, pid: 1});
+		}
 
-export async function portBindings(port, options) {
-	validatePort(port);
-	validateHost(options?.host);
+		if (dryRun) {
+			return {
+				pids,
+				signals: pids.map(pid => ({pid, signal: killSignal})),
+				released: false,
+			};
+		}
 
-	const {lines, addressColumn, pidColumn} = await getList();
-	const hostFilter = createHostFilter(options?.host);
-	const matchingPorts = filterPortLines(port, {lines, addressColumn}, hostFilter);
+		const signals = [];
+		const signalAll = async (targets, signal) => {
+			for (const pid of targets) {
+				// eslint-disable-next-line no-await-in-loop
+				if (await sendSignal(context, pid, signal)) {
+					signals.push({pid, signal});
+				}
+			}
+		};
+
+		// With the same filters as the lookup, so that other sockets of the port do not count as still held
+		const waitForRelease = async () => {
+			const result = await pollPort(context, port, {...options, timeout: gracePeriod}, matchingPorts => ({done: matchingPorts.length === 0}));
+			return result.done;
+		};
+
+		await signalAll(pids, killSignal);
+		let released = await waitForRelease();
+
+		if (!released && normalizeSignal(killSignal) !== 'SIGKILL') {
+			// Escalate only for the processes that still hold the port, or for all of them when the owners cannot be seen
+			const remainingPorts = filterPortSockets(port, await context.run(getList(context, options)), hostFilter, options);
+			const remainingPids = remainingPorts.some(socket => socket.pid !== undefined)
+				? pids.filter(pid => remainingPorts.some(socket => socket.pid === pid))
+				: pids;
+
+			await signalAll(remainingPids, 'SIGKILL');
+			released = await waitForRelease();
+		}
 
-	if (matchingPorts.length === 0) {
-		const baseMessage = createPortErrorMessage(port, hostFilter);
-		throw new Error(baseMessage.replace('a process that uses', 'any processes using'));
+		return {pids, signals, released};
 	}
 
-	const seen = new Set();
-	const bindings = [];
-	for (const line of matchingPorts) {
-		const {host} = parseAddress(line[addressColumn]);
-		const pid = findPidInLine(line, pidColumn);
+	async function * watchPorts(options = {}) {
+		validateOptions(options, context);
+		validateWaitOptions({interval: options.interval});
 
-		if (pid === undefined) {
-			continue;
+		const {interval = 1000, signal} = options;
+		if (options.port !== undefined) {
+			validatePorts(options.port);
 		}
 
-		// Deduplicate bindings across TCP/UDP or duplicate rows
-		const key = `${host}|${pid}`;
-		if (seen.has(key)) {
-			continue;
-		}
+		const matchesPort = options.port === undefined ? () => true : createPortMatcher(options.port);
+
+		const hostFilter = createHostFilter(options.host);
+		let previousBindings = new Map();
+
+		while (!signal?.aborted) {
+			// eslint-disable-next-line no-await-in-loop
+			const sockets = filterSockets(await context.run(getList(context, options)), hostFilter, options)
+				.filter(socket => matchesPort(socket.port));
+
+			const bindings = new Map(sockets.map(({port, host, protocol, pid}) => [
+				`${protocol}|${host}|${port}|${pid}`,
+				{
+					port,
+					host,
+					protocol,
+					pid,
+				},
+			]));
+
+			for (const [key, binding] of previousBindings) {
+				if (!bindings.has(key)) {
+					yield {type: 'unbind', ...binding};
+				}
+			}
+
+			for (const [key, binding] of bindings) {
+				if (!previousBindings.has(key)) {
+					yield {type: 'bind', ...binding};
+				}
+			}
 
-		seen.add(key);
-		bindings.push({host, pid});
+			previousBindings = bindings;
+
+			try {
+				// eslint-disable-next-line no-await-in-loop
+				await delay(interval, undefined, {signal});
+			} catch (error) {
+				// Aborting ends the iteration
+				if (!signal?.aborted) {
+					throw error;
+				}
+			}
+		}
 	}
 
-	// Sort with localhost priority
-	return sortByHostPriority(bindings, binding => binding.host);
+	return {
+		portToPid,
+		portToPids,
+		pidToPorts,
+		allPortsWithPid,
+		portBindings,
+		listSockets,
+		createSnapshot,
+		getAvailableBackends,
+		socketPathToPid,
+		pidToSocketPaths,
+		waitForPortOwner,
+		waitForPortRelease,
+		killPortOwner,
+		watchPorts,
+	};
 }
+
+export const {
+	portToPid,
+	portToPids,
+	pidToPorts,
+	allPortsWithPid,
+	portBindings,
+	listSockets,
+	createSnapshot,
+	getAvailableBackends,
+	socketPathToPid,
+	pidToSocketPaths,
+	waitForPortOwner,
+	waitForPortRelease,
+	killPortOwner,
+	watchPorts,
+} = createPidPort();
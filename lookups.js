@@ -0,0 +1,462 @@
+import net from 'node:net';
+import os from 'node:os';
+import {PortNotFoundError} from './errors.js';
+import {
+	getHostFamily,
+	isSameHost,
+	normalizeHost,
+	protocols,
+	splitZone,
+	states,
+	stripIpv6Brackets,
+} from './parsers.js';
+import {getSubtree} from './processes.js';
+
+const isLocalhostAddress = host => host === '127.0.0.1' || host === '::1';
+
+export const isWildcardHost = host => host === '*' || host === '0.0.0.0' || host === '::';
+
+const isCidrRange = host => host.includes('/');
+
+const parseCidrRange = range => {
+	const [address, prefix, ...rest] = range.split('/');
+	const family = net.isIP(stripIpv6Brackets(address));
+	if (family === 0 || rest.length > 0 || !/^\d+$/.test(prefix) || Number(prefix) > (family === 4 ? 32 : 128)) {
+		throw new TypeError(`Expected host to be a valid CIDR range, got ${range}`);
+	}
+
+	return {address: stripIpv6Brackets(address), prefix: Number(prefix), family: `ipv${family}`};
+};
+
+// The subnets of a network interface of this machine, like `lo` or `docker0`
+const getInterfaceRanges = name => Object.hasOwn(os.networkInterfaces(), name)
+	? os.networkInterfaces()[name].map(({address, cidr}) => cidr ?? address)
+	: undefined;
+
+// Hosts are compared as they are, while addresses and CIDR ranges also match the IPv4-mapped forms of each other
+const createHostMatcher = hosts => {
+	const blockList = new net.BlockList();
+	const exactHosts = [];
+
+	for (const host of hosts.flatMap(host => getInterfaceRanges(host) ?? [host])) {
+		if (isCidrRange(host)) {
+			const {address, prefix, family} = parseCidrRange(host);
+			blockList.addSubnet(address, prefix, family);
+			continue;
+		}
+
+		exactHosts.push(host);
+		if (getHostFamily(host) !== 0) {
+			blockList.addAddress(splitZone(host)[0], `ipv${getHostFamily(host)}`);
+		}
+	}
+
+	return host => exactHosts.some(exactHost => isSameHost(exactHost, host))
+		|| (getHostFamily(host) !== 0 && blockList.check(splitZone(host)[0], `ipv${getHostFamily(host)}`));
+};
+
+export const createHostFilter = host => {
+	const hosts = [host].flat().map(host => host === undefined ? undefined : normalizeHost(host));
+	if (hosts.some(host => isWildcardHost(host))) {
+		return {type: 'all'};
+	}
+
+	if (host === undefined) {
+		return {type: 'localhost'};
+	}
+
+	// Lists of hosts, CIDR ranges, and network interface names match several addresses
+	if (Array.isArray(host) || isCidrRange(hosts[0]) || getInterfaceRanges(hosts[0]) !== undefined) {
+		return {
+			type: 'matching',
+			host,
+			hosts,
+			matches: createHostMatcher(hosts),
+		};
+	}
+
+	return {type: 'specific', host: hosts[0]};
+};
+
+const applyHostFilter = (sockets, hostFilter) => {
+	if (hostFilter.type === 'all') {
+		return sockets;
+	}
+
+	if (hostFilter.type === 'localhost') {
+		return sockets.filter(({host}) => isLocalhostAddress(host));
+	}
+
+	if (hostFilter.type === 'matching') {
+		return sockets.filter(({host}) => hostFilter.matches(host));
+	}
+
+	// Specific host
+	return sockets.filter(({host}) => isSameHost(host, hostFilter.host));
+};
+
+const sortByHostPriority = items => items.sort((a, b) => {
+	// Prefer IPv4 localhost over IPv6 localhost
+	if (a.host === '127.0.0.1' && b.host === '::1') {
+		return -1;
+	}
+
+	if (a.host === '::1' && b.host === '127.0.0.1') {
+		return 1;
+	}
+
+	// For other addresses, sort alphabetically, then prefer TCP over UDP and listening sockets over connections
+	return a.host.localeCompare(b.host)
+		|| a.protocol.localeCompare(b.protocol)
+		|| Number(b.state === 'listen') - Number(a.state === 'listen')
+		|| a.state.localeCompare(b.state);
+});
+
+// Sockets that listen on every interface of both families, which backends print as `*`, match either family
+export const filterSockets = (sockets, hostFilter, {protocol, state = 'listen', family} = {}) => applyHostFilter(sockets, hostFilter).filter(socket =>
+	(protocol === undefined || socket.protocol === protocol)
+	&& (state === 'all' || socket.state === state)
+	&& (family === undefined || [0, family].includes(getHostFamily(socket.host))));
+
+export const isPortRange = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// A port, a range like `{from: 3000, to: 3999}`, or an array of both, as inclusive ranges
+const normalizePortRanges = ports => [ports].flat().map(entry => isPortRange(entry)
+	? {from: entry.from ?? 1, to: entry.to ?? 65_535}
+	: {from: entry, to: entry});
+
+// Match sockets against the ranges instead of expanding them into their ports
+export const createPortMatcher = ports => {
+	const ranges = normalizePortRanges(ports);
+	return port => ranges.some(({from, to}) => port >= from && port <= to);
+};
+
+export const describePort = (port, hostFilter, protocol) => {
+	const ports = normalizePortRanges(port).map(({from, to}) => from === to ? from : `${from}-${to}`).join('`, `');
+	const noun = typeof port === 'number' ? 'port' : 'ports';
+	const portDescription = protocol === undefined ? `${noun} \`${ports}\`` : `${protocol.toUpperCase()} ${noun} \`${ports}\``;
+
+	if (hostFilter.type === 'localhost') {
+		return `${portDescription} on localhost`;
+	}
+
+	if (hostFilter.type === 'specific') {
+		return `${portDescription} on host \`${hostFilter.host}\``;
+	}
+
+	if (hostFilter.type === 'matching') {
+		return `${portDescription} on ${hostFilter.hosts.length === 1 ? 'host' : 'hosts'} \`${hostFilter.hosts.join('`, `')}\``;
+	}
+
+	return portDescription;
+};
+
+// The `host` of the errors: `'localhost'` by default, `'*'` for all interfaces, or the given host or hosts
+export const getErrorHost = hostFilter => hostFilter.type === 'specific' || hostFilter.type === 'matching' ? hostFilter.host : (hostFilter.type === 'all' ? '*' : 'localhost');
+
+export const createPortNotFoundError = (port, hostFilter, protocol, subject = 'a process that uses') => new PortNotFoundError(`Could not find ${subject} ${describePort(port, hostFilter, protocol)}`, {
+	port,
+	host: getErrorHost(hostFilter),
+	protocol,
+});
+
+export const validatePort = (port, context = 'a TCP/UDP port') => {
+	if (!Number.isInteger(port) || port < 1 || port > 65_535) {
+		throw new TypeError(`Expected ${context} between 1 and 65535, got ${port}`);
+	}
+};
+
+const validatePortRange = range => {
+	if (range.from === undefined && range.to === undefined) {
+		throw new TypeError('Expected port range to have `from` or `to`');
+	}
+
+	if (range.from !== undefined) {
+		validatePort(range.from, 'port range `from` to be an integer');
+	}
+
+	if (range.to !== undefined) {
+		validatePort(range.to, 'port range `to` to be an integer');
+	}
+
+	if ((range.from ?? 1) > (range.to ?? 65_535)) {
+		throw new TypeError(`Expected port range \`from\` to not be greater than \`to\`, got ${range.from}-${range.to}`);
+	}
+};
+
+export const validatePorts = ports => {
+	for (const entry of [ports].flat()) {
+		if (isPortRange(entry)) {
+			validatePortRange(entry);
+		} else {
+			validatePort(entry, 'port to be an integer');
+		}
+	}
+};
+
+const validateHostEntry = host => {
+	if (typeof host !== 'string') {
+		throw new TypeError(`Expected host to be a string, got ${typeof host}`);
+	}
+
+	if (isCidrRange(host)) {
+		parseCidrRange(host);
+	}
+};
+
+// Interfaces are looked up on this machine, so their names would match the subnets of the wrong machine or network namespace
+export const validateHostScope = (host, context, netns) => {
+	if (context.isLocal && netns === undefined) {
+		return;
+	}
+
+	const name = [host].flat().find(entry => entry !== undefined && !isCidrRange(entry) && getHostFamily(normalizeHost(entry)) === 0 && !isWildcardHost(normalizeHost(entry)));
+	if (name !== undefined) {
+		throw new TypeError(`Expected host to be an address or a CIDR range with a custom \`exec\` or the \`netns\` option, as network interfaces are looked up on this machine, got ${name}`);
+	}
+};
+
+const validateHost = host => {
+	if (Array.isArray(host)) {
+		if (host.length === 0) {
+			throw new TypeError('Expected host to not be an empty array');
+		}
+
+		for (const entry of host) {
+			validateHostEntry(entry);
+		}
+	} else if (host !== undefined) {
+		validateHostEntry(host);
+	}
+};
+
+export const validateProtocol = protocol => {
+	if (protocol !== undefined && !protocols.includes(protocol)) {
+		throw new TypeError(`Expected protocol to be one of \`${protocols.join('`, `')}\`, got ${protocol}`);
+	}
+};
+
+export const validateFamily = family => {
+	if (family !== undefined && family !== 4 && family !== 6) {
+		throw new TypeError(`Expected family to be \`4\` or \`6\`, got ${family}`);
+	}
+};
+
+export const validateState = state => {
+	if (state !== undefined && state !== 'all' && !states.includes(state)) {
+		throw new TypeError(`Expected state to be \`all\` or one of \`${states.join('`, `')}\`, got ${state}`);
+	}
+};
+
+export const validateNetns = netns => {
+	if (netns !== undefined && !(Number.isInteger(netns) && netns > 0) && !(typeof netns === 'string' && netns !== '')) {
+		throw new TypeError(`Expected netns to be a process ID or a namespace path, got ${netns}`);
+	}
+};
+
+export const validateCacheTtl = cacheTtl => {
+	if (cacheTtl !== undefined && !(typeof cacheTtl === 'number' && cacheTtl >= 0)) {
+		throw new TypeError(`Expected cacheTtl to be a non-negative number, got ${cacheTtl}`);
+	}
+};
+
+const ancestorSelections = ['process-group', 'session'];
+
+const validateSelectAncestor = selection => {
+	if (selection !== undefined && !ancestorSelections.includes(selection)) {
+		throw new TypeError(`Expected selectAncestor to be one of \`${ancestorSelections.join('`, `')}\`, got ${selection}`);
+	}
+};
+
+export const validateOptions = (options, context) => {
+	validateHost(options?.host);
+	validateHostScope(options?.host, context, options?.netns);
+	validateProtocol(options?.protocol);
+	validateFamily(options?.family);
+	validateState(options?.state);
+	validateNetns(options?.netns);
+	validateCacheTtl(options?.cacheTtl);
+	validateSelectAncestor(options?.selectAncestor);
+};
+
+export const validatePid = pid => {
+	if (!Number.isInteger(pid)) {
+		throw new TypeError(`Expected an integer, got ${typeof pid}`);
+	}
+};
+
+export const filterPortSockets = (port, sockets, hostFilter, options) => {
+	const matchesPort = createPortMatcher(port);
+	const matchingPorts = sockets.filter(socket => matchesPort(socket.port));
+	return filterSockets(matchingPorts, hostFilter, options);
+};
+
+// The sockets of a port that must be in use
+export const findPortSockets = (port, sockets, {host, protocol, state, family} = {}) => {
+	validatePort(port);
+	const hostFilter = createHostFilter(host);
+	const matchingPorts = filterPortSockets(port, sockets, hostFilter, {protocol, state, family});
+
+	if (matchingPorts.length === 0) {
+		throw createPortNotFoundError(port, hostFilter, protocol);
+	}
+
+	return matchingPorts;
+};
+
+// The owner of the socket with the highest priority, like localhost over other hosts, which is `undefined` only when every owner is hidden
+export const pickPortPid = matchingPorts => sortByHostPriority(matchingPorts).find(socket => socket.pid !== undefined)?.pid;
+
+export const getPort = (port, sockets, options) => pickPortPid(findPortSockets(port, sockets, options));
+
+// Single ports must be in use, while ranges only contribute the ports that are, found in one pass over the socket table
+const groupPortsSockets = (ports, sockets, options = {}) => {
+	const entries = [ports].flat();
+	const hostFilter = createHostFilter(options.host);
+	const matchesRange = createPortMatcher(entries.filter(entry => isPortRange(entry)));
+	const rangeSockets = new Map();
+	for (const socket of filterSockets(sockets.filter(socket => matchesRange(socket.port)), hostFilter, options)) {
+		if (!rangeSockets.has(socket.port)) {
+			rangeSockets.set(socket.port, []);
+		}
+
+		rangeSockets.get(socket.port).push(socket);
+	}
+
+	return [
+		...entries.filter(entry => !isPortRange(entry)).map(port => ({port, sockets: findPortSockets(port, sockets, options), isRequired: true})),
+		...[...rangeSockets.keys()].sort((a, b) => a - b).map(port => ({port, sockets: rangeSockets.get(port), isRequired: false})),
+	];
+};
+
+// Ranges skip the ports whose owner is hidden, unless they are asked for
+const createPortsPidsMap = (results, {includeUnknownOwners} = {}) => new Map(results
+	.filter(({pid, isRequired}) => isRequired || includeUnknownOwners || pid !== undefined)
+	.map(({port, pid}) => [port, pid]));
+
+export const getPortsPids = (ports, sockets, options = {}) => createPortsPidsMap(groupPortsSockets(ports, sockets, options)
+	.map(({port, sockets, isRequired}) => ({port, pid: pickPortPid(sockets), isRequired})), options);
+
+// Every port of a process is wanted, whatever interface it is on
+export const getPidSocketsOptions = options => ({
+	protocol: options?.protocol,
+	family: options?.family,
+	state: options?.state,
+	netns: options?.netns,
+	cacheTtl: options?.cacheTtl,
+	host: '*',
+});
+
+export const filterPidSockets = (sockets, options) => filterSockets(sockets, createHostFilter('*'), options).filter(socket => socket.port !== undefined);
+
+// Grouped from the sockets, so that a port shared by several processes is one of the ports of each of them
+export const groupPortsByPid = (pids, sockets) => {
+	const resultMap = new Map(pids.map(pid => [pid, new Set()]));
+	for (const {port, pid} of sockets) {
+		resultMap.get(pid)?.add(port);
+	}
+
+	return resultMap;
+};
+
+// The ports of each subtree of processes, with the process of the subtree that uses them, picked like `portToPid()` does
+export const groupPortsBySubtree = (pids, sockets, nodes) => new Map(pids.map(pid => {
+	const subtree = getSubtree(nodes, pid);
+	const ports = new Map();
+	for (const socket of sortByHostPriority(sockets.filter(socket => subtree.has(socket.pid)))) {
+		if (!ports.has(socket.port)) {
+			ports.set(socket.port, socket.pid);
+		}
+	}
+
+	return [pid, ports];
+}));
+
+// The owners of the sockets of a port, in the same order as `portToPid()` picks from
+export const getPortPids = matchingPorts => [...new Set(sortByHostPriority(matchingPorts)
+	.map(socket => socket.pid)
+	.filter(pid => pid !== undefined))];
+
+export const mapPortsToPids = (sockets, options) => {
+	const hostFilter = createHostFilter(options?.host);
+	const matchingSockets = options?.port === undefined ? filterSockets(sockets, hostFilter, options) : filterPortSockets(options.port, sockets, hostFilter, options);
+
+	const resultMap = new Map();
+
+	for (const {port, pid} of matchingSockets) {
+		if (port === undefined) {
+			continue;
+		}
+
+		// A port whose owner is hidden is only included when asked for, and a known owner of it takes its place
+		if (pid === undefined) {
+			if (options?.includeUnknownOwners && !resultMap.has(port)) {
+				resultMap.set(port, options.multiple ? [] : undefined);
+			}
+
+			continue;
+		}
+
+		// Several processes can share a port, like forked workers, and only the last one is kept unless all of them are asked for
+		if (options?.multiple) {
+			resultMap.set(port, [...new Set([...resultMap.get(port) ?? [], pid])].sort((a, b) => a - b));
+		} else {
+			resultMap.set(port, pid);
+		}
+	}
+
+	return resultMap;
+};
+
+// Bindings of several ports say which port they are for
+const isMultiplePortsBinding = port => typeof port !== 'number';
+
+export const validateBindingPorts = port => {
+	if (isMultiplePortsBinding(port) && (Array.isArray(port) || isPortRange(port))) {
+		validatePorts(port);
+	} else {
+		validatePort(port);
+	}
+};
+
+export const createBindings = (port, sockets, options) => {
+	const hostFilter = createHostFilter(options?.host);
+	const matchingPorts = filterPortSockets(port, sockets, hostFilter, options);
+
+	if (matchingPorts.length === 0) {
+		throw createPortNotFoundError(port, hostFilter, options?.protocol, 'any processes using');
+	}
+
+	const seen = new Set();
+	const bindings = [];
+	for (const {port: socketPort, protocol, host, state, pid, namespacePid} of matchingPorts) {
+		if (pid === undefined && !options?.includeUnknownOwners) {
+			continue;
+		}
+
+		// Deduplicate rows that are reported more than once, like the many connections of a server
+		const key = `${socketPort}|${protocol}|${host}|${state}|${pid}`;
+		if (seen.has(key)) {
+			continue;
+		}
+
+		seen.add(key);
+		bindings.push({
+			...(isMultiplePortsBinding(port) && {port: socketPort}),
+			host,
+			pid,
+			protocol,
+			state,
+			...(namespacePid === undefined ? {} : {namespacePid}),
+			...(pid === undefined && {ownerHidden: true}),
+		});
+	}
+
+	return bindings;
+};
+
+// Sort with localhost priority, and by port for several ports
+export const sortBindings = (port, bindings) => {
+	sortByHostPriority(bindings);
+	return isMultiplePortsBinding(port) ? bindings.sort((a, b) => a.port - b.port) : bindings;
+};
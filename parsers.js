@@ -0,0 +1,554 @@
+import {Buffer} from 'node:buffer';
+import net from 'node:net';
+import os from 'node:os';
+import {ParseError} from './errors.js';
+
+export const procNetTables = [
+	{name: 'tcp', protocol: 'tcp'},
+	{name: 'tcp6', protocol: 'tcp'},
+	{name: 'udp', protocol: 'udp'},
+	{name: 'udp6', protocol: 'udp'},
+];
+
+// Socket states as printed in `/proc/net/*`, see `include/net/tcp_states.h` in the kernel
+const procNetStates = {
+	'01': 'established',
+	'02': 'syn-sent',
+	'03': 'syn-received',
+	'04': 'fin-wait-1',
+	'05': 'fin-wait-2',
+	'06': 'time-wait',
+	'07': 'close',
+	'08': 'close-wait',
+	'09': 'last-ack',
+	'0A': 'listen',
+	'0B': 'closing',
+};
+
+const formatIpv6 = bytes => {
+	if (bytes.subarray(0, 10).every(byte => byte === 0) && bytes[10] === 0xFF && bytes[11] === 0xFF) {
+		return `::ffff:${bytes.subarray(12).join('.')}`;
+	}
+
+	const groups = Array.from({length: 8}, (_, index) => bytes.readUInt16BE(index * 2).toString(16));
+
+	// Compress the longest run of zero groups
+	let zeroStart = -1;
+	let zeroLength = 0;
+	for (let start = 0; start < groups.length; start++) {
+		let length = 0;
+		while (groups[start + length] === '0') {
+			length++;
+		}
+
+		if (length > 1 && length > zeroLength) {
+			zeroStart = start;
+			zeroLength = length;
+		}
+	}
+
+	if (zeroStart === -1) {
+		return groups.join(':');
+	}
+
+	return `${groups.slice(0, zeroStart).join(':')}::${groups.slice(zeroStart + zeroLength).join(':')}`;
+};
+
+// The kernel prints addresses as 32-bit words in host byte order, e.g. `0100007F:1F90` for `127.0.0.1:8080` on little-endian machines
+const parseProcNetAddress = address => {
+	const [hexHost, hexPort] = address.split(':');
+	const bytes = Buffer.from(hexHost, 'hex');
+
+	if (os.endianness() === 'LE') {
+		for (let index = 0; index < bytes.length; index += 4) {
+			bytes.subarray(index, index + 4).reverse();
+		}
+	}
+
+	const port = Number.parseInt(hexPort, 16);
+	return {
+		host: normalizeHost(bytes.length === 4 ? bytes.join('.') : formatIpv6(bytes)),
+		// Port 0 is what unconnected sockets have as remote port, which `ss` and `netstat` print as `*`
+		port: port === 0 ? undefined : port,
+	};
+};
+
+// Sockets that are not connected have no remote port, which Windows prints as port 0, and their remote host is always `*`, like in `lsof`, instead of `0.0.0.0` for IPv4 sockets
+const toRemoteAddress = ({host, port}) => port === undefined || port === 0 ? {host: '*', port: undefined} : {host, port};
+
+export const parseProcNet = (content, {protocol}) => content
+	.split('\n')
+	.slice(1)
+	.filter(line => line.trim() !== '')
+	.map(line => {
+		const columns = line.trim().split(/\s+/);
+		if (columns.length < 10) {
+			throw new ParseError(line);
+		}
+
+		const {host, port} = parseProcNetAddress(columns[1]);
+		const {host: remoteHost, port: remotePort} = toRemoteAddress(parseProcNetAddress(columns[2]));
+		const [sendQueue, receiveQueue] = columns[4].split(':').map(value => Number.parseInt(value, 16));
+
+		return {
+			protocol,
+			host,
+			port,
+			remoteHost,
+			remotePort,
+			// Unconnected UDP sockets are in the `close` state, but `ss -l` and this package treat them as listening
+			state: protocol === 'udp' && columns[3] === '07' ? 'listen' : procNetStates[columns[3]],
+			receiveQueue,
+			sendQueue,
+			uid: Number.parseInt(columns[7], 10),
+			inode: Number.parseInt(columns[9], 10),
+		};
+	});
+
+// `__SO_ACCEPTCON`, which listening sockets have
+const unixListenFlag = 0x1_00_00;
+const unixDatagramType = '0002';
+const unixUnconnectedState = '01';
+
+// Columns are `Num RefCount Protocol Flags Type St Inode Path`, and the path is left out for unnamed sockets and can contain spaces.
+// Like `ss -xl`, only the sockets that can be connected to are included: listening ones, and bound datagram sockets.
+export const parseProcNetUnix = content => content
+	.split('\n')
+	.slice(1)
+	.filter(line => line.trim() !== '')
+	.flatMap(line => {
+		const match = /^\s*(?:\S+\s+){3}(?<flags>[\da-f]+)\s+(?<type>\d+)\s+(?<state>\d+)\s+(?<inode>\d+)(?: (?<path>.+))?$/i.exec(line);
+		if (!match) {
+			throw new ParseError(line);
+		}
+
+		const {flags, type, state, inode, path: socketPath} = match.groups;
+		// eslint-disable-next-line no-bitwise
+		const isListening = (Number.parseInt(flags, 16) & unixListenFlag) !== 0 || (type === unixDatagramType && state === unixUnconnectedState);
+		return socketPath !== undefined && isListening ? [{path: socketPath, inode: Number.parseInt(inode, 10)}] : [];
+	});
+
+export const protocols = ['tcp', 'udp'];
+
+export const states = [
+	'listen',
+	'established',
+	'syn-sent',
+	'syn-received',
+	'fin-wait-1',
+	'fin-wait-2',
+	'time-wait',
+	'close',
+	'close-wait',
+	'last-ack',
+	'closing',
+];
+
+// Names used by `ss`, macOS `netstat` and Windows `netstat` that differ from ours
+const stateAliases = {
+	listening: 'listen',
+	estab: 'established',
+	unconn: 'listen',
+	'syn-recv': 'syn-received',
+	'syn-rcvd': 'syn-received',
+	closed: 'close',
+};
+
+const isState = value => /^[a-z][\w-]*$/i.test(value ?? '');
+
+// Windows prints the remote address of sockets that are not connected as `0.0.0.0:0` or `[::]:0`, and of UDP sockets as `*:*`
+const isUnconnectedAddress = address => address === undefined || address.endsWith('*') || /^(?:0\.0\.0\.0|\[::]):0$/.test(address);
+
+// Names that are not one of our states are `undefined`, and their sockets are left out
+const parseState = (value, remoteAddress) => {
+	// UDP sockets have no state in `netstat`, so treat them like `ss` does: unconnected sockets are listening
+	if (value === undefined) {
+		return isUnconnectedAddress(remoteAddress) ? 'listen' : 'established';
+	}
+
+	const state = value.toLowerCase().replaceAll('_', '-');
+	const name = stateAliases[state] ?? state;
+	return states.includes(name) ? name : undefined;
+};
+
+// Windows prints the states in the language of the system, like `ABHÖREN` for `LISTENING` in German, so sockets in a state with an unknown name
+// are only kept when they are not connected, which means they are listening. Sockets that are only bound are neither listening nor connected.
+const parseWindowsState = (value, remoteAddress) => value?.toUpperCase() === 'BOUND'
+	? undefined
+	: parseState(value, remoteAddress) ?? (isUnconnectedAddress(remoteAddress) ? 'listen' : undefined);
+
+const isProtocol = value => /^\s*(tcp|udp)/i.test(value);
+
+// Normalize variants like `tcp4`, `tcp46`, `udp6` and `UDP`
+const parseProtocol = value => /^\s*(?<protocol>tcp|udp)/i.exec(value).groups.protocol.toLowerCase();
+
+// `ss` prints the zone after the brackets, like `[fe80::1]%eth0`
+export const stripIpv6Brackets = host => {
+	const match = /^\[(?<address>[^\]]*)](?<zone>%.+)?$/.exec(host ?? '');
+	return match ? `${match.groups.address}${match.groups.zone ?? ''}` : host;
+};
+
+export const splitZone = host => {
+	const index = host.indexOf('%');
+	return index === -1 ? [host, undefined] : [host.slice(0, index), host.slice(index + 1)];
+};
+
+// Lowercase and compressed, like `fe80::1%eth0` for `FE80:0:0:0:0:0:0:0001%eth0`, with IPv4-mapped addresses as IPv4
+const canonicalizeIpv6 = host => {
+	const [address, zone] = splitZone(host);
+	const canonicalAddress = new net.SocketAddress({address, family: 'ipv6'}).address;
+	const mappedAddress = /^::ffff:(?<address>[\d.]+)$/.exec(canonicalAddress)?.groups.address;
+	if (mappedAddress !== undefined) {
+		return mappedAddress;
+	}
+
+	return zone === undefined ? canonicalAddress : `${canonicalAddress}%${zone}`;
+};
+
+export const normalizeHost = host => {
+	const normalizedHost = stripIpv6Brackets(host);
+	if (normalizedHost === 'localhost') {
+		return '127.0.0.1';
+	}
+
+	const [address] = splitZone(normalizedHost);
+
+	if (net.isIP(address) === 6) {
+		const canonicalHost = canonicalizeIpv6(normalizedHost);
+		return canonicalHost === '::' ? '*' : canonicalHost;
+	}
+
+	// IPv4 sockets bound to a device, like `127.0.0.53%lo` in `ss`, are on the address itself
+	if (net.isIP(address) === 4) {
+		return address;
+	}
+
+	return normalizedHost;
+};
+
+// Zones are only compared when both hosts have one, since `/proc/net` does not report them
+export const isSameHost = (host, otherHost) => {
+	if (host === otherHost) {
+		return true;
+	}
+
+	const [address, zone] = splitZone(host);
+	const [otherAddress, otherZone] = splitZone(otherHost);
+	return address === otherAddress && (zone === undefined || otherZone === undefined || zone === otherZone);
+};
+
+// `0` for hosts that are not addresses, like the `*` of sockets that listen on every interface
+export const getHostFamily = host => net.isIP(splitZone(host)[0]);
+
+const parsePid = pid => {
+	if (typeof pid !== 'string') {
+		return;
+	}
+
+	// Linux ss: users:(("node",pid=1337,fd=123))
+	const linuxMatch = /pid=(?<pid>\d+)/.exec(pid);
+	if (linuxMatch?.groups?.pid) {
+		return Number.parseInt(linuxMatch.groups.pid, 10);
+	}
+
+	// MacOS netstat - handles both old format (macOS 15 and older) and new format (macOS 26+)
+	// Old format: "1337" or ",1337" or ",pid=1337"
+	// New format: "prog:1337" (macOS 26+)
+	const macMatch = /(?:^|",|",pid=|[A-Za-z]+:)(?<pid>\d+)/.exec(pid);
+	if (macMatch?.groups?.pid) {
+		return Number.parseInt(macMatch.groups.pid, 10);
+	}
+
+	// Windows netstat -ano: 1337
+	if (/^\d+$/.test(pid)) {
+		return Number.parseInt(pid, 10);
+	}
+};
+
+// A record for each process that holds the socket, in ascending order of process IDs
+export const withOwners = (socket, pids = []) => pids.length === 0
+	? [{...socket, pid: undefined}]
+	: [...new Set(pids)].sort((a, b) => a - b).map(pid => ({...socket, pid}));
+
+// Search for PID starting from pidColumn, handling process names with spaces
+// When process names contain spaces (e.g., "next-server (v16.1.1)"), the ss output
+// gets split into multiple columns, so we need to search across all columns from pidColumn
+const findPidInLine = (line, pidColumn) => {
+	for (const column of line.slice(pidColumn)) {
+		const pid = parsePid(column);
+		if (pid !== undefined) {
+			return pid;
+		}
+	}
+};
+
+// `ss` lists every process that holds a socket, like `users:(("nginx",pid=2,fd=6),("nginx",pid=1,fd=6))`
+const findPidsInLine = (line, pidColumn) => {
+	const pids = [...line.slice(pidColumn).join(' ').matchAll(/pid=(?<pid>\d+)/g)].map(match => Number.parseInt(match.groups.pid, 10));
+	if (pids.length > 1) {
+		return pids;
+	}
+
+	const pid = findPidInLine(line, pidColumn);
+	return pid === undefined ? [] : [pid];
+};
+
+const parseAddress = address => {
+	// Match "...:123" or "... .123" with the port at the end; keep host greedy to the last separator
+	// Remote addresses of unconnected sockets use `*` as port, like "0.0.0.0:*" or "*.*"
+	const match = /^(?<host>.+?)[.:](?<port>\d+|\*)$/.exec(address);
+	const rawHost = match?.groups?.host ?? address;
+	const host = normalizeHost(rawHost);
+	const port = match?.groups?.port && match.groups.port !== '*' ? Number.parseInt(match.groups.port, 10) : undefined;
+	return {host, port};
+};
+
+const parseQueue = value => value === undefined ? undefined : Number.parseInt(value, 10);
+
+const parseTable = (stdout, {
+	receiveQueueColumn,
+	sendQueueColumn,
+	addressColumn,
+	remoteAddressColumn,
+	stateColumn,
+	pidColumn,
+	hasLocalizedStates = false,
+}) => stdout
+	.split('\n')
+	.filter(line => isProtocol(line))
+	.flatMap(line => {
+		const columns = line.match(/\S+/g) || [];
+
+		if (hasLocalizedStates) {
+			// The state is every column between the remote address and the PID, which is none for UDP sockets, as localized names can have any characters
+			columns.splice(stateColumn, columns.length - stateColumn - 1, columns.slice(stateColumn, -1).join(' ') || undefined);
+		} else if (!isState(columns[stateColumn])) {
+			// `netstat` leaves the state of UDP sockets empty, which shifts the following columns
+			columns.splice(stateColumn, 0, undefined);
+		}
+
+		if (columns[remoteAddressColumn] === undefined) {
+			throw new ParseError(line);
+		}
+
+		const state = (hasLocalizedStates ? parseWindowsState : parseState)(columns[stateColumn], columns[remoteAddressColumn]);
+		if (state === undefined) {
+			return [];
+		}
+
+		const {host, port} = parseAddress(columns[addressColumn]);
+		const {host: remoteHost, port: remotePort} = toRemoteAddress(parseAddress(columns[remoteAddressColumn]));
+		return withOwners({
+			protocol: parseProtocol(columns[0]),
+			host,
+			port,
+			remoteHost,
+			remotePort,
+			state,
+			receiveQueue: parseQueue(columns[receiveQueueColumn]),
+			sendQueue: parseQueue(columns[sendQueueColumn]),
+		}, findPidsInLine(columns, pidColumn));
+	});
+
+const validateOutput = text => {
+	if (typeof text !== 'string') {
+		throw new TypeError(`Expected text to be a string, got ${typeof text}`);
+	}
+};
+
+export function parseSsOutput(text) {
+	validateOutput(text);
+
+	return parseTable(text, {
+		receiveQueueColumn: 2,
+		sendQueueColumn: 3,
+		addressColumn: 4,
+		remoteAddressColumn: 5,
+		stateColumn: 1,
+		pidColumn: 6,
+	});
+}
+
+// Columns are `Netid State Recv-Q Send-Q Path Inode Peer PeerInode Process`, with `*` as path for unnamed sockets
+export const parseSsUnixOutput = text => text
+	.split('\n')
+	.flatMap(line => {
+		const match = /^u_\w+\s+\S+\s+\d+\s+\d+\s+(?<path>.+?)\s+\d+\s+\S+\s+\d+(?<process>\s.*)?$/.exec(line.trim());
+		if (!match || match.groups.path === '*') {
+			return [];
+		}
+
+		const pids = [...(match.groups.process ?? '').matchAll(/pid=(?<pid>\d+)/g)].map(pidMatch => Number.parseInt(pidMatch.groups.pid, 10));
+		return withOwners({path: match.groups.path}, pids);
+	});
+
+export function parseNetstatDarwin(text) {
+	validateOutput(text);
+
+	const header = text.split('\n').find(line => /^\s*Proto\s/.test(line)) ?? '';
+
+	return parseTable(text, {
+		receiveQueueColumn: 1,
+		sendQueueColumn: 2,
+		addressColumn: 3,
+		remoteAddressColumn: 4,
+		stateColumn: 5,
+		// Some versions of macOS print two extra columns for rxbytes and
+		// txbytes before pid. Unfortunately headers can't be parsed because
+		// they're space separated but some contain spaces, so we use this
+		// heuristic to distinguish the two netstat versions.
+		pidColumn: header.includes('rxbytes') ? 10 : 8,
+	});
+}
+
+export function parseNetstatLinux(text) {
+	validateOutput(text);
+
+	return parseTable(text, {
+		receiveQueueColumn: 1,
+		sendQueueColumn: 2,
+		addressColumn: 3,
+		remoteAddressColumn: 4,
+		stateColumn: 5,
+		pidColumn: 6,
+	});
+}
+
+export function parseNetstatWindows(text) {
+	validateOutput(text);
+
+	return parseTable(text, {
+		addressColumn: 1,
+		remoteAddressColumn: 2,
+		stateColumn: 3,
+		pidColumn: 4,
+		hasLocalizedStates: true,
+	});
+}
+
+// Columns are `COMMAND PID USER FD TYPE DEVICE SIZE/OFF NODE NAME`, and some versions add `TID` and `TASKCMD` after `PID`,
+// so find the protocol in the `NODE` column and read the address and state from the columns after it
+export function parseLsofOutput(text) {
+	validateOutput(text);
+
+	return text
+		.split('\n')
+		.map(line => line.match(/\S+/g) ?? [])
+		.filter(columns => /^\d+$/.test(columns[1] ?? ''))
+		.flatMap(columns => {
+			const protocolIndex = columns.findIndex((column, index) => index > 1 && /^(tcp|udp)$/i.test(column));
+			if (protocolIndex === -1) {
+				return [];
+			}
+
+			const [localAddress, remoteAddress] = columns[protocolIndex + 1]?.split('->') ?? [];
+			if (localAddress === undefined) {
+				return [];
+			}
+
+			const {host, port} = parseAddress(localAddress);
+			const {host: remoteHost, port: remotePort} = remoteAddress === undefined ? {host: '*'} : parseAddress(remoteAddress);
+			const state = parseState(/^\((?<state>[\w-]+)\)$/.exec(columns[protocolIndex + 2] ?? '')?.groups.state, remoteAddress);
+			if (state === undefined) {
+				return [];
+			}
+
+			return [{
+				protocol: parseProtocol(columns[protocolIndex]),
+				host,
+				port,
+				remoteHost,
+				remotePort,
+				state,
+				receiveQueue: undefined,
+				sendQueue: undefined,
+				pid: Number.parseInt(columns[1], 10),
+			}];
+		});
+}
+
+// Each line is a field identified by its first character: `p` starts a process, `c` is its command, and `t` starts a socket,
+// followed by `P` for the protocol, `n` for the addresses, and `T` for TCP details like `TST=LISTEN`, `TQR=0`, and `TQS=0`
+export function parseLsofFieldOutput(text) {
+	validateOutput(text);
+
+	const files = [];
+	let process_ = {};
+	let file = {};
+
+	for (const line of text.split('\n')) {
+		const value = line.slice(1).trim();
+
+		switch (line[0]) {
+			case 'p': {
+				process_ = {pid: Number.parseInt(value, 10)};
+				break;
+			}
+
+			case 'c': {
+				process_.command = value;
+				break;
+			}
+
+			case 't': {
+				// Some versions also print the file descriptor, as `f`, before it
+				if (file?.process !== process_ || file.type !== undefined) {
+					file = {process: process_};
+					files.push(file);
+				}
+
+				file.type = value;
+				break;
+			}
+
+			case 'f': {
+				file = {process: process_};
+				files.push(file);
+				break;
+			}
+
+			case 'P': {
+				file.protocol = value;
+				break;
+			}
+
+			case 'n': {
+				file.name = value;
+				break;
+			}
+
+			case 'T': {
+				const [key, detail] = value.split('=');
+				file[key] = detail;
+				break;
+			}
+
+			default:
+		}
+	}
+
+	return files
+		.filter(({protocol, name}) => /^(tcp|udp)$/i.test(protocol ?? '') && name !== undefined)
+		.flatMap(({process, protocol, name, ST, QR: receiveQueue, QS: sendQueue}) => {
+			const [localAddress, remoteAddress] = name.split('->');
+			const {host, port} = parseAddress(localAddress);
+			const {host: remoteHost, port: remotePort} = remoteAddress === undefined ? {host: '*'} : parseAddress(remoteAddress);
+			const state = parseState(ST, remoteAddress);
+			if (state === undefined) {
+				return [];
+			}
+
+			return [{
+				protocol: parseProtocol(protocol),
+				host,
+				port,
+				remoteHost,
+				remotePort,
+				state,
+				receiveQueue: parseQueue(receiveQueue),
+				sendQueue: parseQueue(sendQueue),
+				pid: process.pid,
+				command: process.command,
+			}];
+		});
+}
@@ -0,0 +1,327 @@
+import process from 'node:process';
+import os from 'node:os';
+import path from 'node:path';
+import {ParseError} from './errors.js';
+
+export const isPidEntry = entry => /^\d+$/.test(entry);
+
+const parseJson = text => {
+	try {
+		return JSON.parse(text);
+	} catch {
+		throw new ParseError(text);
+	}
+};
+
+// `os.userInfo()` throws when the current user has no entry in `/etc/passwd`, like in containers run with `--user 1234`
+const getCurrentUsername = () => {
+	try {
+		return os.userInfo().username;
+	} catch {}
+};
+
+function * getUsername(context, uid) {
+	if (uid === undefined) {
+		return;
+	}
+
+	if (context.isLocal && uid === process.getuid?.()) {
+		const username = getCurrentUsername();
+		if (username !== undefined) {
+			return username;
+		}
+	}
+
+	const passwd = yield context.attempt(() => context.readFile('/etc/passwd'));
+	const entry = passwd?.split('\n').map(line => line.split(':')).find(fields => fields[2] === String(uid));
+	return entry?.[0];
+}
+
+// The kernel reports process start times in clock ticks since boot, and `CLK_TCK` is 100 on all supported architectures
+const clockTicksPerSecond = 100;
+
+function * getLinuxStartTime(context, pid) {
+	const [stat, systemStat] = yield context.all([
+		context.attempt(() => context.readFile(`/proc/${pid}/stat`)),
+		context.attempt(() => context.readFile('/proc/stat')),
+	]);
+
+	// The process name can contain spaces and parentheses, so the fields are counted from the last `)`, which is followed by field 3
+	const startTicks = stat?.slice(stat.lastIndexOf(')') + 2).split(' ')[19];
+	const bootTime = /^btime (?<seconds>\d+)$/m.exec(systemStat ?? '')?.groups.seconds;
+	if (startTicks === undefined || bootTime === undefined) {
+		return;
+	}
+
+	return new Date((Number(bootTime) * 1000) + (Number(startTicks) * 1000 / clockTicksPerSecond));
+}
+
+function * linuxProcessInfo(context, pid) {
+	const [name, commandLine, executablePath, cwd, status, startTime] = yield context.all([
+		context.attempt(() => context.readFile(`/proc/${pid}/comm`)),
+		context.attempt(() => context.readFile(`/proc/${pid}/cmdline`)),
+		context.attempt(() => context.readLink(`/proc/${pid}/exe`)),
+		context.attempt(() => context.readLink(`/proc/${pid}/cwd`)),
+		context.attempt(() => context.readFile(`/proc/${pid}/status`)),
+		context.run(getLinuxStartTime(context, pid)),
+	]);
+
+	const uidField = /^Uid:\s+(?<uid>\d+)/m.exec(status ?? '')?.groups.uid;
+	const uid = uidField === undefined ? undefined : Number.parseInt(uidField, 10);
+
+	return {
+		name: name?.trim(),
+		// Arguments are separated and terminated by null bytes
+		arguments: commandLine ? commandLine.replace(/\0$/, '').split('\0') : undefined,
+		executablePath,
+		cwd,
+		uid,
+		username: yield * getUsername(context, uid),
+		startTime,
+	};
+}
+
+function * macosProcessInfo(context, pid) {
+	const [details, commandLine, cwd] = yield context.all([
+		context.attempt(() => context.exec('ps', ['-ww', '-o', 'uid=,user=,lstart=,comm=', '-p', String(pid)])),
+		context.attempt(() => context.exec('ps', ['-ww', '-o', 'args=', '-p', String(pid)])),
+		context.attempt(() => context.exec('lsof', ['-a', '-p', String(pid), '-d', 'cwd', '-Fn'])),
+	]);
+
+	// For example: `501 sindresorhus Mon Oct 19 10:00:00 2026 /usr/local/bin/node`
+	const match = /^\s*(?<uid>\d+)\s+(?<username>\S+)\s+(?<startTime>\S+\s+\S+\s+\d+\s+[\d:]+\s+\d+)\s+(?<executablePath>.+)$/.exec(details?.stdout ?? '');
+
+	return {
+		name: match ? path.basename(match.groups.executablePath) : undefined,
+		// `ps` joins the arguments with spaces, so arguments containing spaces cannot be told apart
+		arguments: commandLine?.stdout.trim().split(/\s+/),
+		executablePath: match?.groups.executablePath,
+		cwd: cwd?.stdout.split('\n').find(line => line.startsWith('n'))?.slice(1),
+		uid: match ? Number.parseInt(match.groups.uid, 10) : undefined,
+		username: match?.groups.username,
+		startTime: match ? new Date(match.groups.startTime) : undefined,
+	};
+}
+
+const parseWindowsCommandLine = commandLine => commandLine
+	?.match(/"[^"]*"|\S+/g)
+	?.map(argument => argument.replaceAll('"', ''));
+
+function * windowsProcessInfo(context, pid) {
+	const script = `$process = Get-CimInstance Win32_Process -Filter "ProcessId = ${pid}"
+$owner = Invoke-CimMethod -InputObject $process -MethodName GetOwner
+[pscustomobject]@{
+	Name = $process.Name
+	CommandLine = $process.CommandLine
+	ExecutablePath = $process.ExecutablePath
+	CreationDate = $process.CreationDate.ToString('o')
+	User = $owner.User
+} | ConvertTo-Json`;
+
+	const result = yield context.attempt(() => context.exec('powershell', ['-NoProfile', '-NonInteractive', '-Command', script]));
+	const details = result?.stdout ? parseJson(result.stdout) : {};
+
+	return {
+		name: details.Name ?? undefined,
+		arguments: parseWindowsCommandLine(details.CommandLine ?? undefined),
+		executablePath: details.ExecutablePath ?? undefined,
+		// Not exposed by Windows for other processes
+		cwd: undefined,
+		uid: undefined,
+		username: details.User ?? undefined,
+		startTime: details.CreationDate ? new Date(details.CreationDate) : undefined,
+	};
+}
+
+const processInfoImplementations = {darwin: macosProcessInfo, linux: linuxProcessInfo};
+
+function * getProcessInfo(context, pid) {
+	const implementation = processInfoImplementations[context.platform] ?? windowsProcessInfo;
+	return {pid, ...yield * implementation(context, pid)};
+}
+
+// Look up each process only once, even when it holds several sockets
+export const createProcessInfoLoader = context => {
+	const cache = new Map();
+	return pid => {
+		if (!cache.has(pid)) {
+			cache.set(pid, context.run(getProcessInfo(context, pid)));
+		}
+
+		return cache.get(pid);
+	};
+};
+
+function * linuxProcessNode(context, pid) {
+	const stat = yield context.attempt(() => context.readFile(`/proc/${pid}/stat`));
+	if (stat === undefined) {
+		return;
+	}
+
+	// Fields after the name are counted from the last `)`, as the name can contain spaces and parentheses
+	const [, ppid, pgid, sid] = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+	return {
+		pid,
+		ppid: Number.parseInt(ppid, 10),
+		name: stat.slice(stat.indexOf('(') + 1, stat.lastIndexOf(')')),
+		pgid: Number.parseInt(pgid, 10),
+		sid: Number.parseInt(sid, 10),
+	};
+}
+
+function * psProcessTable(context, sessionField) {
+	const {stdout} = yield context.exec('ps', ['-A', '-o', `pid=,ppid=,pgid=,${sessionField}=,ucomm=`]);
+	return stdout
+		.split('\n')
+		.map(line => /^\s*(?<pid>\d+)\s+(?<ppid>\d+)\s+(?<pgid>\d+)\s+(?<sid>\S+)\s+(?<name>.+)$/.exec(line)?.groups)
+		.filter(Boolean)
+		.map(({pid, ppid, pgid, sid, name}) => ({
+			pid: Number.parseInt(pid, 10),
+			ppid: Number.parseInt(ppid, 10),
+			name: name.trim(),
+			pgid: Number.parseInt(pgid, 10),
+			sid,
+		}));
+}
+
+// `/proc` can only be listed locally, so other machines are asked through `ps`
+function * linuxProcessTable(context) {
+	if (!context.isLocal) {
+		return yield * psProcessTable(context, 'sid');
+	}
+
+	const entries = yield context.readDirectory('/proc');
+	const nodes = yield context.all(entries.filter(entry => isPidEntry(entry)).map(pid => context.run(linuxProcessNode(context, Number.parseInt(pid, 10)))));
+	return nodes.filter(node => node !== undefined);
+}
+
+// There is no session ID on macOS, but processes of the same session share the session pointer `sess`
+function * macosProcessTable(context) {
+	return yield * psProcessTable(context, 'sess');
+}
+
+// Windows has neither process groups nor sessions like Unix
+function * windowsProcessTable(context) {
+	const {stdout} = yield context.exec('powershell', ['-NoProfile', '-NonInteractive', '-Command', 'Get-CimInstance Win32_Process | Select-Object ProcessId, ParentProcessId, Name | ConvertTo-Json']);
+	return [parseJson(stdout)].flat().map(entry => ({
+		pid: entry.ProcessId,
+		ppid: entry.ParentProcessId,
+		name: entry.Name,
+	}));
+}
+
+const processTableImplementations = {darwin: macosProcessTable, linux: linuxProcessTable};
+
+export function * getProcessTable(context) {
+	const implementation = processTableImplementations[context.platform] ?? windowsProcessTable;
+	return yield * implementation(context);
+}
+
+// Linux reads one process at a time, while other platforms list every process once instead of running a command per ancestor
+const createProcessNodeLoader = context => {
+	if (context.platform === 'linux') {
+		const cache = new Map();
+		return pid => {
+			if (!cache.has(pid)) {
+				cache.set(pid, context.run(linuxProcessNode(context, pid)));
+			}
+
+			return cache.get(pid);
+		};
+	}
+
+	function * loadTable() {
+		const nodes = yield * getProcessTable(context);
+		return new Map(nodes.map(node => [node.pid, node]));
+	}
+
+	function * findNode(pid) {
+		const nodes = yield table;
+		return nodes.get(pid);
+	}
+
+	let table;
+	return pid => {
+		table ??= context.run(loadTable());
+		return context.run(findNode(pid));
+	};
+};
+
+// The process followed by its parent, grandparent, and so on
+function * getAncestors(loadProcessNode, pid) {
+	const ancestors = [];
+	let node = yield loadProcessNode(pid);
+
+	// The parent of the root is 0, and the check for repeated processes protects against PID reuse in between reads
+	while (node !== undefined && !ancestors.some(ancestor => ancestor.pid === node.pid)) {
+		ancestors.push(node);
+		if (!node.ppid) {
+			break;
+		}
+
+		node = yield loadProcessNode(node.ppid);
+	}
+
+	return ancestors;
+}
+
+// The process and every process it started, directly or through other processes
+export const getSubtree = (nodes, pid) => {
+	const children = new Map();
+	for (const node of nodes) {
+		children.set(node.ppid, [...children.get(node.ppid) ?? [], node.pid]);
+	}
+
+	// Iterating a set also visits the values added while iterating
+	const subtree = new Set([pid]);
+	for (const member of subtree) {
+		for (const child of children.get(member) ?? []) {
+			subtree.add(child);
+		}
+	}
+
+	return subtree;
+};
+
+// The topmost ancestor that is still in the same process group or session, like `npm` for the server started by `npm run dev`
+export const selectAncestor = (ancestors, pid, selection) => {
+	const key = selection === 'session' ? 'sid' : 'pgid';
+	const [owner, ...rest] = ancestors;
+	if (owner?.[key] === undefined) {
+		return pid;
+	}
+
+	let selected = owner;
+	for (const node of rest) {
+		if (node[key] !== owner[key]) {
+			break;
+		}
+
+		selected = node;
+	}
+
+	return selected.pid;
+};
+
+// Apply the options that report more than the process ID, or a different process than the one holding the socket
+export const createOwnerResolver = (context, {includeProcessInfo, includeAncestors, selectAncestor: selection} = {}) => {
+	const loadProcessInfo = createProcessInfoLoader(context);
+	const loadProcessNode = createProcessNodeLoader(context);
+
+	function * resolveOwner(pid) {
+		const ancestors = includeAncestors || selection ? yield * getAncestors(loadProcessNode, pid) : undefined;
+		const ownerPid = selection ? selectAncestor(ancestors, pid, selection) : pid;
+
+		if (!includeProcessInfo && !includeAncestors) {
+			return {pid: ownerPid};
+		}
+
+		return {
+			pid: ownerPid,
+			...(includeProcessInfo && {process: yield loadProcessInfo(ownerPid)}),
+			...(includeAncestors && {ancestors: ancestors.map(({pid, ppid, name}) => ({pid, ppid, name}))}),
+		};
+	}
+
+	return pid => context.run(resolveOwner(pid));
+};
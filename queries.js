@@ -0,0 +1,177 @@
+import {
+	createBindings,
+	createHostFilter,
+	filterPidSockets,
+	filterSockets,
+	findPortSockets,
+	getPidSocketsOptions,
+	getPort,
+	getPortPids,
+	getPortsPids,
+	groupPortsByPid,
+	groupPortsBySubtree,
+	isPortRange,
+	mapPortsToPids,
+	sortBindings,
+	validateBindingPorts,
+	validateCacheTtl,
+	validateFamily,
+	validateNetns,
+	validateOptions,
+	validatePid,
+	validatePort,
+	validatePorts,
+	validateProtocol,
+	validateState,
+} from './lookups.js';
+import {createOwnerResolver, createProcessInfoLoader, getProcessTable} from './processes.js';
+
+// The functions that only read the socket table, which can come from a snapshot. They are steps like the ones that list sockets, so the synchronous functions run them with blocking I/O.
+export const createQueries = (context, loadTable) => {
+	function * loadSockets(options) {
+		const {sockets} = yield loadTable(options);
+		return sockets;
+	}
+
+	function * getPidSockets(options) {
+		const socketsOptions = getPidSocketsOptions(options);
+		return filterPidSockets(yield * loadSockets(socketsOptions), socketsOptions);
+	}
+
+	function * getPidsToPortsMap(pids, options) {
+		if (options?.includeDescendants) {
+			const [sockets, nodes] = yield context.all([context.run(getPidSockets(options)), context.run(getProcessTable(context))]);
+			return groupPortsBySubtree(pids, sockets, nodes);
+		}
+
+		return groupPortsByPid(pids, yield * getPidSockets(options));
+	}
+
+	function * portToPid(portOrOptions) {
+		// Handle options object with ranges: {port: {from: 3000, to: 3999}, host: '*'}
+		if (isPortRange(portOrOptions) && 'port' in portOrOptions && typeof portOrOptions.port !== 'number') {
+			const {port, ...options} = portOrOptions;
+			validatePorts(port);
+			validateOptions(options, context);
+			const pids = getPortsPids(port, yield * loadSockets(options), options);
+			if (!options.includeProcessInfo && !options.includeAncestors && !options.selectAncestor) {
+				return pids;
+			}
+
+			const resolveOwner = createOwnerResolver(context, options);
+			const owners = yield context.all([...pids].map(([, pid]) => pid === undefined ? undefined : resolveOwner(pid)));
+			return new Map([...pids.keys()].map((port, index) => [
+				port,
+				options.includeProcessInfo || options.includeAncestors ? owners[index] : owners[index]?.pid,
+			]));
+		}
+
+		// Handle options object: {port: 8080, host: '127.0.0.1', protocol: 'tcp'}
+		if (isPortRange(portOrOptions) && 'port' in portOrOptions) {
+			const {port, ...options} = portOrOptions;
+			validatePort(port, 'port to be an integer');
+			validateOptions(options, context);
+			const pid = getPort(port, yield * loadSockets(options), options);
+			if (pid === undefined) {
+				return;
+			}
+
+			const owner = yield createOwnerResolver(context, options)(pid);
+			return options.includeProcessInfo || options.includeAncestors ? owner : owner.pid;
+		}
+
+		// Handle array of ports and ranges, or a single range: [8080, {from: 3000, to: 3999}]
+		if (Array.isArray(portOrOptions) || isPortRange(portOrOptions)) {
+			validatePorts(portOrOptions);
+			return getPortsPids(portOrOptions, yield * loadSockets());
+		}
+
+		// Handle single port: 8080
+		const port = portOrOptions;
+		validatePort(port);
+		return getPort(port, yield * loadSockets());
+	}
+
+	function * portToPids(port, options) {
+		validatePort(port);
+		validateOptions(options, context);
+
+		return getPortPids(findPortSockets(port, yield * loadSockets(options), options));
+	}
+
+	function * pidToPorts(pid, options) {
+		validateProtocol(options?.protocol);
+		validateFamily(options?.family);
+		validateState(options?.state);
+		validateNetns(options?.netns);
+		validateCacheTtl(options?.cacheTtl);
+
+		if (Array.isArray(pid)) {
+			return yield * getPidsToPortsMap(pid, options);
+		}
+
+		validatePid(pid);
+		const resultMap = yield * getPidsToPortsMap([pid], options);
+		return resultMap.get(pid);
+	}
+
+	function * allPortsWithPid(options) {
+		validateOptions(options, context);
+		if (options?.port !== undefined) {
+			validatePorts(options.port);
+		}
+
+		const resultMap = mapPortsToPids(yield * loadSockets(options), options);
+
+		if (options?.includeProcessInfo) {
+			const loadProcessInfo = createProcessInfoLoader(context);
+			function * loadOwner(pid) {
+				return pid === undefined ? undefined : {pid, process: yield loadProcessInfo(pid)};
+			}
+
+			const owners = yield context.all([...resultMap.values()].map(value => options.multiple
+				? context.all(value.map(pid => context.run(loadOwner(pid))))
+				: context.run(loadOwner(value))));
+			return new Map([...resultMap.keys()].map((port, index) => [port, owners[index]]));
+		}
+
+		return resultMap;
+	}
+
+	function * portBindings(port, options) {
+		validateBindingPorts(port);
+		validateOptions(options, context);
+
+		const bindings = createBindings(port, yield * loadSockets(options), options);
+
+		if (options?.includeProcessInfo || options?.includeAncestors || options?.selectAncestor) {
+			const resolveOwner = createOwnerResolver(context, options);
+			const ownedBindings = bindings.filter(binding => !binding.ownerHidden);
+			const owners = yield context.all(ownedBindings.map(binding => resolveOwner(binding.pid)));
+			for (const [index, binding] of ownedBindings.entries()) {
+				Object.assign(binding, owners[index]);
+			}
+		}
+
+		return sortBindings(port, bindings);
+	}
+
+	function * listSockets(options) {
+		validateOptions(options, context);
+
+		const {backend, sockets} = yield loadTable(options);
+		const hostFilter = createHostFilter(options?.host);
+		return filterSockets(sockets, hostFilter, options).map(socket => ({...socket, backend}));
+	}
+
+	const run = step => (...arguments_) => context.run(step(...arguments_));
+
+	return {
+		portToPid: run(portToPid),
+		portToPids: run(portToPids),
+		pidToPorts: run(pidToPorts),
+		allPortsWithPid: run(allPortsWithPid),
+		portBindings: run(portBindings),
+		listSockets: run(listSockets),
+	};
+};
@@ -0,0 +1,40 @@
+import {
+	readdirSync,
+	readFileSync,
+	readlinkSync,
+	statSync,
+} from 'node:fs';
+import {
+	createContext,
+	execSync,
+	getOwnedTable,
+	syncIo,
+} from './backends.js';
+import {createQueries} from './queries.js';
+
+// The synchronous functions list the sockets and look up the processes of the local machine with the same steps as the asynchronous ones, with blocking I/O
+const syncContext = {
+	...createContext(),
+	...syncIo,
+	exec: execSync,
+	readFile: filePath => readFileSync(filePath, 'utf8'),
+	readLink: filePath => readlinkSync(filePath),
+	readDirectory: directory => readdirSync(directory),
+	stat: filePath => statSync(filePath),
+};
+
+// Only the asynchronous functions share a cache
+const loadTableSync = options => {
+	if (options?.cacheTtl) {
+		throw new TypeError('The `cacheTtl` option is not supported by the synchronous functions');
+	}
+
+	return syncContext.run(getOwnedTable(syncContext, options));
+};
+
+export const {
+	portToPid: portToPidSync,
+	pidToPorts: pidToPortsSync,
+	allPortsWithPid: allPortsWithPidSync,
+	portBindings: portBindingsSync,
+} = createQueries(syncContext, loadTableSync);
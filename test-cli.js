@@ -0,0 +1,64 @@
+import process from 'node:process';
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {execFile} from 'node:child_process';
+import {promisify} from 'node:util';
+import getPort from 'get-port';
+import {startServer} from './test-helpers.js';
+
+const execFileAsync = promisify(execFile);
+
+const runCli = async arguments_ => {
+	try {
+		const {stdout, stderr} = await execFileAsync(process.execPath, ['cli.js', ...arguments_]);
+		return {stdout, stderr, exitCode: 0};
+	} catch (error) {
+		return {stdout: error.stdout, stderr: error.stderr, exitCode: error.code};
+	}
+};
+
+test('cli', async () => {
+	const [port, unusedPort] = await Promise.all([getPort(), getPort()]);
+	const server = await startServer(port);
+
+	assert.deepEqual(await runCli(['port', String(port)]), {stdout: `${process.pid}\n`, stderr: '', exitCode: 0});
+
+	const json = await runCli(['port', String(port), String(unusedPort), '--json']);
+	assert.deepEqual(JSON.parse(json.stdout), {[port]: process.pid, [unusedPort]: null});
+	assert.equal(json.stderr, `Could not find a process that uses port \`${unusedPort}\` on localhost\n`);
+	assert.equal(json.exitCode, 1);
+
+	const ports = await runCli(['pid', String(process.pid)]);
+	assert.ok(ports.stdout.split('\n').includes(String(port)));
+	assert.equal(ports.exitCode, 0);
+
+	const pidWithHost = await runCli(['pid', String(process.pid), '--host', '*']);
+	assert.equal(pidWithHost.exitCode, 2);
+	assert.match(pidWithHost.stderr, /^The `pid` command does not take `--host`, as it looks at all interfaces\n/);
+
+	const list = await runCli(['list', '--json']);
+	assert.equal(JSON.parse(list.stdout)[port], process.pid);
+
+	const bindings = await runCli(['bindings', String(port), '--host', '*']);
+	assert.match(bindings.stdout, /^HOST\s+PROTOCOL\s+STATE\s+PID\n/);
+	assert.match(bindings.stdout, new RegExp(`127\\.0\\.0\\.1\\s+tcp\\s+listen\\s+${process.pid}\\n`));
+
+	const noBindings = await runCli(['bindings', String(unusedPort)]);
+	assert.equal(noBindings.exitCode, 1);
+
+	const ipv6Port = await runCli(['port', String(port), '--family', '6']);
+	assert.equal(ipv6Port.exitCode, 1);
+
+	const invalidFamily = await runCli(['port', String(port), '--family', 'ipv4']);
+	assert.equal(invalidFamily.exitCode, 2);
+	assert.match(invalidFamily.stderr, /^Expected family to be `4` or `6`, got ipv4\n/);
+
+	const invalidPort = await runCli(['port', 'foo']);
+	assert.equal(invalidPort.exitCode, 2);
+	assert.match(invalidPort.stderr, /^Expected port to be an integer, got foo\n/);
+
+	const unknownCommand = await runCli(['unknown']);
+	assert.equal(unknownCommand.exitCode, 2);
+
+	server.close();
+});
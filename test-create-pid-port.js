@@ -0,0 +1,462 @@
+import process from 'node:process';
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {spawn} from 'node:child_process';
+import getPort from 'get-port';
+import {startServer} from './test-helpers.js';
+import {
+	portToPid,
+	pidToPorts,
+	portBindings,
+	waitForPortRelease,
+	createSnapshot,
+	portToPidSync,
+	createPidPort,
+	PortNotFoundError,
+	CommandNotFoundError,
+	SocketPathNotFoundError,
+} from './index.js';
+
+test('createPidPort() with a custom command runner', async () => {
+	const ssOutput = `Netid State  Recv-Q Send-Q Local Address:Port Peer Address:Port Process
+tcp   LISTEN 0      511        127.0.0.1:3000      0.0.0.0:*    users:(("node",pid=1337,fd=20))
+udp   UNCONN 0      0            0.0.0.0:5353      0.0.0.0:*    users:(("avahi-daemon",pid=42,fd=12))
+`;
+
+	const calls = [];
+	let released = false;
+	const linux = createPidPort({
+		async exec(file, arguments_) {
+			calls.push([file, ...arguments_]);
+
+			if (file === 'ss') {
+				return {stdout: released ? '' : ssOutput};
+			}
+
+			if (file === 'kill') {
+				released = true;
+				return {stdout: ''};
+			}
+
+			throw Object.assign(new Error(`Command failed: ${file}`), {stderr: `${file}: not found`});
+		},
+		platform: 'linux',
+	});
+
+	assert.equal(await linux.portToPid(3000), 1337);
+	assert.deepEqual(await linux.portBindings(5353, {host: '*'}), [
+		{
+			host: '0.0.0.0',
+			pid: 42,
+			protocol: 'udp',
+			state: 'listen',
+		},
+	]);
+	assert.deepEqual(calls[0], ['ss', '-tunlp']);
+
+	const report = await linux.killPortOwner(3000, {interval: 1});
+	assert.deepEqual(report, {pids: [1337], signals: [{pid: 1337, signal: 'SIGTERM'}], released: true});
+	assert.ok(calls.some(call => call.join(' ') === 'kill -s TERM 1337'));
+
+	const windows = createPidPort({
+		async exec(file, arguments_) {
+			assert.deepEqual([file, ...arguments_], ['netstat', '-ano']);
+			return {
+				stdout: `
+Active Connections
+
+  Proto  Local Address          Foreign Address        State           PID
+  TCP    127.0.0.1:3000         0.0.0.0:0              LISTENING       1337
+  TCP    127.0.0.1:3000         127.0.0.1:51234        ESTABLISHED     1337
+  UDP    0.0.0.0:5353           *:*                                    42
+`,
+			};
+		},
+		platform: 'win32',
+	});
+
+	assert.equal(await windows.portToPid(3000), 1337);
+	assert.deepEqual(await windows.allPortsWithPid({host: '*'}), new Map([[3000, 1337], [5353, 42]]));
+	const sockets = await windows.listSockets({host: '*', state: 'all'});
+	assert.equal(sockets.length, 3);
+	assert.ok(sockets.every(socket => socket.backend === 'netstat'));
+
+	// States in the language of the system
+	const spanish = createPidPort({
+		exec: async () => ({stdout: '  TCP    127.0.0.1:3000         0.0.0.0:0              ESCUCHANDO       1337\n'}),
+		platform: 'win32',
+	});
+	assert.equal(await spanish.portToPid(3000), 1337);
+
+	assert.throws(() => createPidPort({exec: 'ssh'}), TypeError);
+});
+
+test('backends option', async () => {
+	const installed = new Set(['netstat', 'lsof']);
+	const calls = [];
+	const {portToPid, createSnapshot, getAvailableBackends} = createPidPort({
+		async exec(file, arguments_) {
+			calls.push([file, ...arguments_].join(' '));
+			if (!installed.has(file)) {
+				throw Object.assign(new Error(`Command failed: ${file}`), {exitCode: 127, stderr: `${file}: not found`});
+			}
+
+			return {
+				stdout: file === 'netstat'
+					? `Proto Recv-Q Send-Q Local Address           Foreign Address         State       PID/Program name
+tcp        0      0 127.0.0.1:3000          0.0.0.0:*               LISTEN      1337/node
+`
+					: 'p1337\ncnode\ntIPv4\nPTCP\nn127.0.0.1:3000\nTST=LISTEN\n',
+			};
+		},
+		platform: 'linux',
+	});
+
+	// `procfs` is skipped with a custom command runner
+	assert.equal(await portToPid(3000), 1337);
+	assert.deepEqual(calls, ['ss -tunlp', 'netstat -tunlp']);
+
+	const snapshot = await createSnapshot();
+	assert.equal(snapshot.backend, 'netstat');
+	assert.equal(await snapshot.portToPid(3000), 1337);
+
+	const backends = await getAvailableBackends();
+	assert.deepEqual(backends.map(({name, available}) => ({name, available})), [
+		{name: 'procfs', available: false},
+		{name: 'ss', available: false},
+		{name: 'netstat', available: true},
+		{name: 'lsof', available: true},
+	]);
+	assert.ok(backends[1].error instanceof CommandNotFoundError);
+
+	installed.delete('netstat');
+	const lsofSnapshot = await createSnapshot();
+	assert.equal(lsofSnapshot.backend, 'lsof');
+	assert.equal(await lsofSnapshot.portToPid(3000), 1337);
+	assert.equal(calls.at(-1), 'lsof -nP -F pcnPtT -i');
+
+	installed.delete('lsof');
+	await assert.rejects(portToPid(3000), {code: 'ERR_COMMAND_NOT_FOUND', command: 'ss'});
+
+	assert.throws(() => createPidPort({backends: ['procfs'], platform: 'darwin'}), TypeError);
+	assert.throws(() => createPidPort({backends: []}), TypeError);
+});
+
+test('lsof finds owners that the backend hides', async () => {
+	const calls = [];
+	const {portToPid, portToPids, allPortsWithPid, portBindings, listSockets} = createPidPort({
+		async exec(file, arguments_) {
+			calls.push([file, ...arguments_].join(' '));
+			return {
+				stdout: file === 'ss'
+					? `Netid State  Recv-Q Send-Q Local Address:Port Peer Address:Port Process
+tcp   LISTEN 0      511        127.0.0.1:3000      0.0.0.0:*
+tcp   LISTEN 0      511          0.0.0.0:4000      0.0.0.0:*
+tcp   LISTEN 0      511        127.0.0.1:5000      0.0.0.0:*    users:(("node",pid=42,fd=20))
+`
+					: 'p1337\ncnode\ntIPv4\nPTCP\nn127.0.0.1:3000\nTST=LISTEN\np1338\ncnginx\ntIPv4\nPTCP\nn*:4000\nTST=LISTEN\n',
+			};
+		},
+		platform: 'linux',
+	});
+
+	assert.equal(await portToPid(3000), 1337);
+	assert.deepEqual(calls, ['ss -tunlp', 'lsof -nP -F pcnPtT -i :3000,4000']);
+	assert.deepEqual(await portToPids(4000, {host: '*'}), [1338]);
+	assert.deepEqual(await allPortsWithPid({host: '*'}), new Map([[3000, 1337], [4000, 1338], [5000, 42]]));
+	assert.deepEqual(await portBindings(4000, {host: '*'}), [
+		{
+			host: '0.0.0.0',
+			pid: 1338,
+			protocol: 'tcp',
+			state: 'listen',
+		},
+	]);
+
+	// The owners from `lsof` do not change which backend listed the sockets
+	const sockets = await listSockets({host: '*'});
+	assert.deepEqual(sockets.find(socket => socket.port === 3000), {
+		protocol: 'tcp',
+		host: '127.0.0.1',
+		port: 3000,
+		remoteHost: '*',
+		remotePort: undefined,
+		state: 'listen',
+		pid: 1337,
+		receiveQueue: 0,
+		sendQueue: 511,
+		backend: 'ss',
+	});
+});
+
+test('lsof runs once per socket table', async () => {
+	const calls = [];
+	const {
+		createSnapshot,
+		portToPid,
+		portToPids,
+		allPortsWithPid,
+	} = createPidPort({
+		async exec(file) {
+			calls.push(file);
+			return {
+				stdout: file === 'ss'
+					? `Netid State  Recv-Q Send-Q Local Address:Port Peer Address:Port Process
+tcp   LISTEN 0      511        127.0.0.1:3000      0.0.0.0:*
+tcp   LISTEN 0      511        127.0.0.1:5000      0.0.0.0:*    users:(("node",pid=42,fd=20))
+`
+					: 'p1337\ncnode\ntIPv4\nPTCP\nn127.0.0.1:3000\nTST=LISTEN\n',
+			};
+		},
+		platform: 'linux',
+	});
+
+	const snapshot = await createSnapshot();
+	assert.equal(await snapshot.portToPid(3000), 1337);
+	assert.deepEqual(await snapshot.allPortsWithPid(), new Map([[3000, 1337], [5000, 42]]));
+	assert.deepEqual(await snapshot.pidToPorts(1337), new Set([3000]));
+	assert.deepEqual(calls, ['ss', 'lsof']);
+
+	calls.length = 0;
+	assert.equal(await portToPid({port: 3000, cacheTtl: 1000}), 1337);
+	assert.deepEqual(await portToPids(5000, {cacheTtl: 1000}), [42]);
+	assert.deepEqual(await allPortsWithPid({cacheTtl: 1000}), new Map([[3000, 1337], [5000, 42]]));
+	assert.deepEqual(calls, ['ss', 'lsof']);
+});
+
+test('lsof only runs for sockets that can have an owner', async () => {
+	const calls = [];
+	const {portToPid, listSockets} = createPidPort({
+		async exec(file, arguments_) {
+			calls.push([file, ...arguments_].join(' '));
+			return {
+				stdout: file === 'ss'
+					? `Netid State     Recv-Q Send-Q Local Address:Port Peer Address:Port Process
+tcp   LISTEN    0      511        127.0.0.1:5000      0.0.0.0:*    users:(("node",pid=42,fd=20))
+tcp   TIME-WAIT 0      0          127.0.0.1:3000    127.0.0.1:51234
+tcp   ESTAB     0      0          127.0.0.1:6000    127.0.0.1:51235
+`
+					: 'p1337\ncnode\ntIPv4\nPTCP\nn127.0.0.1:6000->127.0.0.1:51235\nTST=ESTABLISHED\n',
+			};
+		},
+		platform: 'linux',
+		backends: ['ss', 'lsof'],
+	});
+
+	// Sockets in `time-wait` have no owner, and connections are not listening sockets
+	assert.equal(await portToPid(5000), 42);
+	assert.deepEqual(calls, ['ss -tunlp']);
+
+	calls.length = 0;
+	const sockets = await listSockets({state: 'all'});
+	assert.deepEqual(calls, ['ss -tunap', 'lsof -nP -F pcnPtT -i :6000']);
+	assert.equal(sockets.find(socket => socket.port === 6000).pid, 1337);
+	assert.equal(sockets.find(socket => socket.port === 3000).pid, undefined);
+});
+
+test('includeUnknownOwners option', async () => {
+	const {portToPid, allPortsWithPid, portBindings} = createPidPort({
+		async exec() {
+			return {
+				stdout: `Netid State  Recv-Q Send-Q Local Address:Port Peer Address:Port Process
+tcp   LISTEN 0      511        127.0.0.1:3000      0.0.0.0:*
+tcp   LISTEN 0      511        127.0.0.1:5000      0.0.0.0:*    users:(("node",pid=42,fd=20))
+tcp   LISTEN 0      511            [::1]:5000         [::]:*
+`,
+			};
+		},
+		backends: ['ss'],
+		platform: 'linux',
+	});
+
+	// A port in use by a hidden owner resolves to `undefined`, while a free port throws
+	assert.equal(await portToPid(3000), undefined);
+	await assert.rejects(portToPid(4000), PortNotFoundError);
+
+	// Known owners are preferred over hidden ones
+	assert.equal(await portToPid(5000), 42);
+
+	assert.deepEqual(await allPortsWithPid(), new Map([[5000, 42]]));
+	assert.deepEqual(await allPortsWithPid({includeUnknownOwners: true}), new Map([[3000, undefined], [5000, 42]]));
+	assert.deepEqual(await allPortsWithPid({includeUnknownOwners: true, multiple: true}), new Map([[3000, []], [5000, [42]]]));
+	assert.deepEqual(await portToPid({port: {from: 3000, to: 3999}}), new Map());
+	assert.deepEqual(await portToPid({port: {from: 3000, to: 3999}, includeUnknownOwners: true}), new Map([[3000, undefined]]));
+
+	assert.deepEqual(await portBindings(3000), []);
+	assert.deepEqual(await portBindings(5000, {includeUnknownOwners: true}), [
+		{
+			host: '127.0.0.1',
+			pid: 42,
+			protocol: 'tcp',
+			state: 'listen',
+		},
+		{
+			host: '::1',
+			pid: undefined,
+			protocol: 'tcp',
+			state: 'listen',
+			ownerHidden: true,
+		},
+	]);
+});
+
+test('createSnapshot()', async () => {
+	const port = await getPort();
+	const server = await startServer(port);
+
+	const snapshot = await createSnapshot();
+	server.close();
+	await waitForPortRelease(port, {interval: 10});
+
+	assert.equal(await snapshot.portToPid(port), process.pid);
+	assert.deepEqual(await snapshot.portToPids(port), [process.pid]);
+	const ports = await snapshot.pidToPorts(process.pid);
+	assert.ok(ports.has(port));
+	const portsWithPid = await snapshot.allPortsWithPid();
+	assert.equal(portsWithPid.get(port), process.pid);
+	const sockets = await snapshot.listSockets();
+	assert.ok(sockets.some(socket => socket.port === port));
+	assert.ok(sockets.every(socket => socket.backend === snapshot.backend));
+	await assert.rejects(portToPid(port), {message: `Could not find a process that uses port \`${port}\` on localhost`});
+	await assert.rejects(snapshot.listSockets({netns: 1}), TypeError);
+});
+
+test('cacheTtl option', async () => {
+	let calls = 0;
+	const exec = async () => {
+		calls++;
+		return {stdout: 'Netid State  Recv-Q Send-Q Local Address:Port Peer Address:Port Process\ntcp   LISTEN 0      511        127.0.0.1:3000      0.0.0.0:*    users:(("node",pid=1337,fd=20))\n'};
+	};
+
+	const cached = createPidPort({exec, platform: 'linux', cacheTtl: 60_000});
+	assert.equal(await cached.portToPid(3000), 1337);
+	assert.deepEqual(await cached.allPortsWithPid(), new Map([[3000, 1337]]));
+	assert.equal(calls, 1);
+	await cached.listSockets({state: 'all'});
+	assert.equal(calls, 2);
+
+	const uncached = createPidPort({exec, platform: 'linux'});
+	await uncached.portToPid(3000);
+	await uncached.portToPid(3000);
+	assert.equal(calls, 4);
+
+	// Calls can ask for their own `cacheTtl`
+	await uncached.portToPid({port: 3000, cacheTtl: 60_000});
+	assert.deepEqual(await uncached.pidToPorts(1337, {cacheTtl: 60_000}), new Set([3000]));
+	assert.equal(calls, 5);
+	await cached.portToPid({port: 3000, cacheTtl: 0});
+	assert.equal(calls, 6);
+
+	// The exported functions share a cache
+	const port = await getPort();
+	const server = await startServer(port);
+	assert.equal(await portToPid({port, cacheTtl: 60_000}), process.pid);
+	server.close();
+	await waitForPortRelease(port, {interval: 10});
+	assert.equal(await portToPid({port, cacheTtl: 60_000}), process.pid);
+	await assert.rejects(portToPid(port), PortNotFoundError);
+
+	assert.throws(() => createPidPort({cacheTtl: -1}), TypeError);
+	await assert.rejects(portToPid({port: 3000, cacheTtl: -1}), TypeError);
+	assert.throws(() => portToPidSync({port: 3000, cacheTtl: 1000}), {message: 'The `cacheTtl` option is not supported by the synchronous functions'});
+});
+
+test('netns option', async t => {
+	await assert.rejects(portToPid({port: 3000, netns: 0}), {message: 'Expected netns to be a process ID or a namespace path, got 0'});
+	await assert.rejects(createPidPort({exec: async () => ({stdout: ''}), platform: 'darwin'}).portToPid({port: 3000, netns: 1}), {message: 'The `netns` option is only supported on Linux'});
+
+	// With a custom command runner, `ss` runs in the namespace
+	const calls = [];
+	const {portToPid: remotePortToPid} = createPidPort({
+		async exec(file, arguments_) {
+			calls.push([file, ...arguments_]);
+			return {stdout: file === 'cat' ? 'NSpid:\t4242\t7\n' : 'tcp LISTEN 0 511 127.0.0.1:3000 0.0.0.0:* users:(("node",pid=4242,fd=20))\n'};
+		},
+		platform: 'linux',
+	});
+	assert.equal(await remotePortToPid({port: 3000, netns: '/run/netns/test'}), 4242);
+	assert.deepEqual(calls, [['nsenter', '--net=/run/netns/test', 'ss', '-tunlp'], ['cat', '/proc/4242/status']]);
+
+	// Interface names are looked up on this machine, which is neither the one of the command runner nor the namespace
+	const interfaceMessage = 'Expected host to be an address or a CIDR range with a custom `exec` or the `netns` option, as network interfaces are looked up on this machine, got lo';
+	await assert.rejects(remotePortToPid({port: 3000, host: 'lo'}), {message: interfaceMessage});
+	await assert.rejects(portToPid({port: 3000, host: ['127.0.0.1', 'lo'], netns: 1}), {message: interfaceMessage});
+	assert.throws(() => portToPidSync({port: 3000, host: 'lo', netns: 1}), {message: interfaceMessage});
+	assert.equal(await remotePortToPid({port: 3000, host: '127.0.0.0/8'}), 4242);
+
+	if (process.platform !== 'linux') {
+		t.skip();
+		return;
+	}
+
+	const port = await getPort();
+	const script = `require('node:net').createServer().listen(${port}, '127.0.0.1', () => console.log('listening'))`;
+	const child = spawn('unshare', ['--net', '--pid', '--fork', '--kill-child', process.execPath, '-e', script], {stdio: ['ignore', 'pipe', 'ignore']});
+	const started = await new Promise(resolve => {
+		child.stdout.once('data', () => {
+			resolve(true);
+		});
+		child.once('error', () => {
+			resolve(false);
+		});
+		child.once('exit', () => {
+			resolve(false);
+		});
+	});
+
+	if (!started) {
+		t.skip('Creating namespaces requires privileges');
+		return;
+	}
+
+	try {
+		// The port is not visible from the network namespace of the tests
+		await assert.rejects(portToPid(port));
+
+		const pid = await portToPid({port, netns: child.pid});
+		assert.ok(pid > child.pid);
+		assert.deepEqual(await portBindings(port, {netns: `/proc/${child.pid}/ns/net`}), [
+			{
+				host: '127.0.0.1',
+				pid,
+				protocol: 'tcp',
+				state: 'listen',
+				namespacePid: 1,
+			},
+		]);
+		assert.deepEqual(await pidToPorts(pid, {netns: child.pid}), new Set([port]));
+	} finally {
+		// `unshare` ignores `SIGTERM` while it waits for the forked process
+		child.kill('SIGKILL');
+	}
+});
+
+test('Unix domain sockets with a custom command runner', async () => {
+	const calls = [];
+	const pidPort = createPidPort({
+		async exec(file, arguments_) {
+			calls.push([file, ...arguments_].join(' '));
+			return {
+				stdout: `Netid State  Recv-Q Send-Q           Local Address:Port Peer Address:PortProcess
+u_str LISTEN 0      4096          /run/docker.sock 21352            * 0    users:(("dockerd",pid=1337,fd=5))
+u_str LISTEN 0      244   /var/run/postgresql/.s.PGSQL.5432 30125  * 0    users:(("postgres",pid=42,fd=7),("postgres",pid=43,fd=7))
+u_dgr UNCONN 0      0        /run/systemd/notify 14235            * 0
+u_str LISTEN 0      4096        @/tmp/.X11-unix/X0 40211            * 0    users:(("Xorg",pid=1337,fd=4))
+`,
+			};
+		},
+		platform: 'linux',
+	});
+
+	assert.equal(await pidPort.socketPathToPid('/run/docker.sock'), 1337);
+	assert.deepEqual(calls, ['ss -xlp']);
+	assert.equal(await pidPort.socketPathToPid('/var/run/postgresql/.s.PGSQL.5432'), 42);
+	assert.equal(await pidPort.socketPathToPid('/run/systemd/notify'), undefined);
+	await assert.rejects(pidPort.socketPathToPid('/run/missing.sock'), SocketPathNotFoundError);
+	assert.deepEqual(await pidPort.pidToSocketPaths(1337), new Set(['/run/docker.sock', '@/tmp/.X11-unix/X0']));
+	assert.deepEqual(await pidPort.pidToSocketPaths([43, 7]), new Map([[43, new Set(['/var/run/postgresql/.s.PGSQL.5432'])], [7, new Set()]]));
+
+	await assert.rejects(createPidPort({platform: 'darwin'}).socketPathToPid('/run/docker.sock'), {message: 'Unix domain socket lookups are only supported on Linux'});
+	const netstatOnly = createPidPort({exec: async () => ({stdout: ''}), platform: 'linux', backends: ['netstat']});
+	await assert.rejects(netstatOnly.pidToSocketPaths(1), {message: 'None of the backends `netstat` can list Unix domain sockets'});
+});
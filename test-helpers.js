@@ -0,0 +1,37 @@
+import process from 'node:process';
+import http from 'node:http';
+import dgram from 'node:dgram';
+import {spawn} from 'node:child_process';
+
+export const createServer = () => http.createServer((request, response) => {
+	response.end();
+});
+
+export const startServer = async (port, host = '127.0.0.1') => {
+	const server = createServer().listen(port, host);
+	await new Promise(resolve => {
+		server.on('listening', resolve);
+	});
+	return server;
+};
+
+// Start a server in a child process, optionally ignoring `SIGTERM`
+export const startChildServer = async (port, {ignoreSigterm = false} = {}) => {
+	const script = `
+		${ignoreSigterm ? 'process.on(\'SIGTERM\', () => {});' : ''}
+		require('node:net').createServer().listen(${port}, '127.0.0.1', () => console.log('listening'));
+	`;
+	const child = spawn(process.execPath, ['-e', script], {stdio: ['ignore', 'pipe', 'inherit']});
+	await new Promise(resolve => {
+		child.stdout.once('data', resolve);
+	});
+	return child;
+};
+
+export const startUdpSocket = async (port, host = '127.0.0.1') => {
+	const socket = dgram.createSocket(host.includes(':') ? 'udp6' : 'udp4');
+	await new Promise(resolve => {
+		socket.bind(port, host, resolve);
+	});
+	return socket;
+};
@@ -0,0 +1,417 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	parseSsOutput,
+	parseNetstatDarwin,
+	parseNetstatLinux,
+	parseNetstatWindows,
+	parseLsofOutput,
+	parseLsofFieldOutput,
+	ParseError,
+} from './index.js';
+
+const pickSocketFields = sockets => sockets.map(({protocol, host, port, remotePort, state, pid}) => ({
+	protocol,
+	host,
+	port,
+	remotePort,
+	state,
+	pid,
+}));
+
+test('parseSsOutput()', () => {
+	const sockets = parseSsOutput(`Netid State  Recv-Q Send-Q         Local Address:Port   Peer Address:Port Process
+tcp   LISTEN 0      511                127.0.0.1:3000        0.0.0.0:*     users:(("next-server (v16.1.1)",pid=1337,fd=20))
+tcp   ESTAB  0      12                 127.0.0.1:3000      127.0.0.1:51234 users:(("node",pid=1337,fd=21))
+tcp   LISTEN 0      4096                   [::1]:8080           [::]:*
+udp   UNCONN 0      0                    0.0.0.0:5353        0.0.0.0:*     users:(("avahi-daemon",pid=42,fd=12))
+`);
+
+	assert.deepEqual(pickSocketFields(sockets), [
+		{
+			protocol: 'tcp',
+			host: '127.0.0.1',
+			port: 3000,
+			remotePort: undefined,
+			state: 'listen',
+			pid: 1337,
+		},
+		{
+			protocol: 'tcp',
+			host: '127.0.0.1',
+			port: 3000,
+			remotePort: 51_234,
+			state: 'established',
+			pid: 1337,
+		},
+		{
+			protocol: 'tcp',
+			host: '::1',
+			port: 8080,
+			remotePort: undefined,
+			state: 'listen',
+			pid: undefined,
+		},
+		{
+			protocol: 'udp',
+			host: '0.0.0.0',
+			port: 5353,
+			remotePort: undefined,
+			state: 'listen',
+			pid: 42,
+		},
+	]);
+	assert.equal(sockets[1].sendQueue, 12);
+
+	// Sockets shared by several processes get a record for each of them
+	const sharedSockets = parseSsOutput('tcp   LISTEN 0      511        0.0.0.0:80      0.0.0.0:*    users:(("nginx",pid=1338,fd=6),("nginx",pid=1337,fd=6))');
+	assert.deepEqual(sharedSockets.map(socket => socket.pid), [1337, 1338]);
+
+	assert.deepEqual(parseSsOutput(''), []);
+	assert.throws(() => parseSsOutput(undefined), TypeError);
+});
+
+test('parseNetstatDarwin()', () => {
+	const expected = [
+		{
+			protocol: 'tcp',
+			host: '127.0.0.1',
+			port: 3000,
+			remotePort: undefined,
+			state: 'listen',
+			pid: 1337,
+		},
+		{
+			protocol: 'tcp',
+			host: '::1',
+			port: 3000,
+			remotePort: 51_234,
+			state: 'established',
+			pid: 1337,
+		},
+		{
+			protocol: 'udp',
+			host: '*',
+			port: 5353,
+			remotePort: undefined,
+			state: 'listen',
+			pid: 42,
+		},
+	];
+
+	// MacOS 15 and older
+	assert.deepEqual(pickSocketFields(parseNetstatDarwin(`Active Internet connections (including servers)
+Proto Recv-Q Send-Q  Local Address          Foreign Address        (state)     rhiwat shiwat    pid   epid  state    options
+tcp4       0      0  127.0.0.1.3000         *.*                    LISTEN      131072 131072   1337      0 0x0100 0x00000106
+tcp6       0      0  ::1.3000               ::1.51234              ESTABLISHED 408300 146988   1337      0 0x0102 0x00000104
+Active Internet connections (including servers)
+Proto Recv-Q Send-Q  Local Address          Foreign Address        (state)     rhiwat shiwat    pid   epid  state    options
+udp4       0      0  *.5353                 *.*                                786896   9216     42      0 0x0100 0x00000000
+`)), expected);
+
+	// MacOS 26 and newer, with byte counters and the process name before the PID
+	assert.deepEqual(pickSocketFields(parseNetstatDarwin(`Active Internet connections (including servers)
+Proto Recv-Q Send-Q  Local Address          Foreign Address        (state)      rxbytes      txbytes  rhiwat  shiwat    pid   epid state  options
+tcp4       0      0  127.0.0.1.3000         *.*                    LISTEN             0            0  131072  131072  node:1337      0 00100 00000106
+tcp6       0      0  ::1.3000               ::1.51234              ESTABLISHED     1024         2048  408300  146988  node:1337      0 00102 00000104
+udp4       0      0  *.5353                 *.*                                   0            0  786896    9216  mDNSResponder:42      0 00100 00000000
+`)), expected);
+});
+
+test('parseNetstatLinux()', () => {
+	const sockets = parseNetstatLinux(`Active Internet connections (servers and established)
+Proto Recv-Q Send-Q Local Address           Foreign Address         State       PID/Program name
+tcp        0      0 127.0.0.1:3000          0.0.0.0:*               LISTEN      1337/node
+tcp        0     12 127.0.0.1:3000          127.0.0.1:51234         ESTABLISHED -
+tcp6       0      0 :::22                   :::*                    LISTEN      42/sshd: /usr/sbin
+udp        0      0 0.0.0.0:5353            0.0.0.0:*                           42/avahi-daemon
+`);
+
+	assert.deepEqual(pickSocketFields(sockets), [
+		{
+			protocol: 'tcp',
+			host: '127.0.0.1',
+			port: 3000,
+			remotePort: undefined,
+			state: 'listen',
+			pid: 1337,
+		},
+		{
+			protocol: 'tcp',
+			host: '127.0.0.1',
+			port: 3000,
+			remotePort: 51_234,
+			state: 'established',
+			pid: undefined,
+		},
+		{
+			protocol: 'tcp',
+			host: '*',
+			port: 22,
+			remotePort: undefined,
+			state: 'listen',
+			pid: 42,
+		},
+		{
+			protocol: 'udp',
+			host: '0.0.0.0',
+			port: 5353,
+			remotePort: undefined,
+			state: 'listen',
+			pid: 42,
+		},
+	]);
+	assert.equal(sockets[1].sendQueue, 12);
+});
+
+test('parseNetstatWindows()', () => {
+	const sockets = parseNetstatWindows(`
+Active Connections
+
+  Proto  Local Address          Foreign Address        State           PID
+  TCP    127.0.0.1:3000         0.0.0.0:0              LISTENING       1337
+  TCP    [::1]:3000             [::1]:51234            ESTABLISHED     1337
+  TCP    0.0.0.0:445            0.0.0.0:0              LISTENING       4
+  UDP    [::]:5353              *:*                                    42
+`);
+
+	assert.deepEqual(pickSocketFields(sockets), [
+		{
+			protocol: 'tcp',
+			host: '127.0.0.1',
+			port: 3000,
+			remotePort: undefined,
+			state: 'listen',
+			pid: 1337,
+		},
+		{
+			protocol: 'tcp',
+			host: '::1',
+			port: 3000,
+			remotePort: 51_234,
+			state: 'established',
+			pid: 1337,
+		},
+		{
+			protocol: 'tcp',
+			host: '0.0.0.0',
+			port: 445,
+			remotePort: undefined,
+			state: 'listen',
+			pid: 4,
+		},
+		{
+			protocol: 'udp',
+			host: '*',
+			port: 5353,
+			remotePort: undefined,
+			state: 'listen',
+			pid: 42,
+		},
+	]);
+});
+
+test('parseNetstatWindows() with localized states', () => {
+	const german = parseNetstatWindows(`
+Aktive Verbindungen
+
+  Proto  Lokale Adresse         Remoteadresse          Status           PID
+  TCP    127.0.0.1:3000         0.0.0.0:0              ABHÖREN          1337
+  TCP    [::1]:3000             [::]:0                 ABHÖREN          1337
+  TCP    127.0.0.1:3000         127.0.0.1:51234        HERGESTELLT      1337
+  TCP    127.0.0.1:3000         127.0.0.1:51235        TIME_WAIT        0
+  UDP    0.0.0.0:5353           *:*                                     42
+`);
+
+	// Unknown names of connected sockets are left out, as their state cannot be told
+	assert.deepEqual(pickSocketFields(german), [
+		{
+			protocol: 'tcp',
+			host: '127.0.0.1',
+			port: 3000,
+			remotePort: undefined,
+			state: 'listen',
+			pid: 1337,
+		},
+		{
+			protocol: 'tcp',
+			host: '::1',
+			port: 3000,
+			remotePort: undefined,
+			state: 'listen',
+			pid: 1337,
+		},
+		{
+			protocol: 'tcp',
+			host: '127.0.0.1',
+			port: 3000,
+			remotePort: 51_235,
+			state: 'time-wait',
+			pid: 0,
+		},
+		{
+			protocol: 'udp',
+			host: '0.0.0.0',
+			port: 5353,
+			remotePort: undefined,
+			state: 'listen',
+			pid: 42,
+		},
+	]);
+
+	const spanish = parseNetstatWindows(`  Proto  Dirección local          Dirección remota        Estado           PID
+  TCP    127.0.0.1:3000         0.0.0.0:0              ESCUCHANDO       1337
+  TCP    0.0.0.0:7680           0.0.0.0:0              BOUND            1338`);
+	assert.deepEqual(spanish.map(({port, state}) => ({port, state})), [{port: 3000, state: 'listen'}]);
+});
+
+test('parseLsofOutput()', () => {
+	const sockets = parseLsofOutput(`COMMAND    PID  TID TASKCMD USER   FD   TYPE  DEVICE SIZE/OFF NODE NAME
+node      1337           alice  20u  IPv4  123456      0t0  TCP 127.0.0.1:3000 (LISTEN)
+node      1337           alice  21u  IPv6  123457      0t0  TCP [::1]:3000->[::1]:51234 (ESTABLISHED)
+node      1337           alice  22u  unix  0x1234      0t0 4321 /tmp/socket type=STREAM
+avahi-dae   42           avahi  12u  IPv4   23456      0t0  UDP *:5353
+`);
+
+	assert.deepEqual(pickSocketFields(sockets), [
+		{
+			protocol: 'tcp',
+			host: '127.0.0.1',
+			port: 3000,
+			remotePort: undefined,
+			state: 'listen',
+			pid: 1337,
+		},
+		{
+			protocol: 'tcp',
+			host: '::1',
+			port: 3000,
+			remotePort: 51_234,
+			state: 'established',
+			pid: 1337,
+		},
+		{
+			protocol: 'udp',
+			host: '*',
+			port: 5353,
+			remotePort: undefined,
+			state: 'listen',
+			pid: 42,
+		},
+	]);
+});
+
+test('parseLsofFieldOutput()', () => {
+	const sockets = parseLsofFieldOutput(`p1337
+cnode
+f20
+tIPv4
+PTCP
+n127.0.0.1:3000
+TST=LISTEN
+TQR=0
+TQS=0
+f21
+tIPv6
+PTCP
+n[::1]:3000->[::1]:51234
+TST=ESTABLISHED
+TQR=0
+TQS=12
+p42
+cavahi-daemon
+tIPv4
+PUDP
+n*:5353
+tunix
+n/run/avahi.sock
+`);
+
+	assert.deepEqual(sockets, [
+		{
+			protocol: 'tcp',
+			host: '127.0.0.1',
+			port: 3000,
+			remoteHost: '*',
+			remotePort: undefined,
+			state: 'listen',
+			receiveQueue: 0,
+			sendQueue: 0,
+			pid: 1337,
+			command: 'node',
+		},
+		{
+			protocol: 'tcp',
+			host: '::1',
+			port: 3000,
+			remoteHost: '::1',
+			remotePort: 51_234,
+			state: 'established',
+			receiveQueue: 0,
+			sendQueue: 12,
+			pid: 1337,
+			command: 'node',
+		},
+		{
+			protocol: 'udp',
+			host: '*',
+			port: 5353,
+			remoteHost: '*',
+			remotePort: undefined,
+			state: 'listen',
+			receiveQueue: undefined,
+			sendQueue: undefined,
+			pid: 42,
+			command: 'avahi-daemon',
+		},
+	]);
+});
+
+test('IPv6 addresses are canonicalized', () => {
+	const sockets = parseSsOutput(`Netid State  Recv-Q Send-Q         Local Address:Port   Peer Address:Port Process
+udp   UNCONN 0      0          [fe80::A00:27FF:FE4E:66A1]%enp0s3:546 [::]:*
+udp   UNCONN 0      0             127.0.0.53%lo:53          0.0.0.0:*
+tcp   ESTAB  0      0          [::ffff:10.0.0.5]:80    [::ffff:10.0.0.9]:51234
+tcp   LISTEN 0      511        [0:0:0:0:0:0:0:1]:8080          [::]:*
+`);
+
+	assert.deepEqual(sockets.map(({host, remoteHost}) => ({host, remoteHost})), [
+		{host: 'fe80::a00:27ff:fe4e:66a1%enp0s3', remoteHost: '*'},
+		{host: '127.0.0.53', remoteHost: '*'},
+		{host: '10.0.0.5', remoteHost: '10.0.0.9'},
+		{host: '::1', remoteHost: '*'},
+	]);
+
+	assert.deepEqual(parseNetstatWindows(`  Proto  Local Address          Foreign Address        State           PID
+  TCP    [FE80::1%4]:22         [::]:0                 LISTENING       1337`).map(({host}) => host), ['fe80::1%4']);
+	assert.deepEqual(parseNetstatDarwin(`Active Internet connections (including servers)
+Proto Recv-Q Send-Q  Local Address          Foreign Address        (state)      rhiwat  shiwat    pid   epid state  options
+tcp6       0      0  fe80::1%lo0.631        *.*                    LISTEN       131072  131072    1337      0 0x0100 0x00000006`).map(({host}) => host), ['fe80::1%lo0']);
+});
+
+test('the remote host of unconnected sockets is the same with every parser', () => {
+	const remoteAddresses = [
+		...parseSsOutput(`Netid State  Recv-Q Send-Q Local Address:Port Peer Address:Port Process
+tcp   LISTEN 0      511        127.0.0.1:3000       0.0.0.0:*     users:(("node",pid=1337,fd=20))
+tcp   LISTEN 0      511            [::1]:3000          [::]:*     users:(("node",pid=1337,fd=21))`),
+		...parseNetstatLinux(`Proto Recv-Q Send-Q Local Address           Foreign Address         State       PID/Program name
+tcp        0      0 127.0.0.1:3000          0.0.0.0:*               LISTEN      1337/node`),
+		...parseNetstatDarwin(`Active Internet connections (including servers)
+Proto Recv-Q Send-Q  Local Address          Foreign Address        (state)      rhiwat  shiwat    pid   epid state  options
+tcp4       0      0  127.0.0.1.3000         *.*                    LISTEN       131072  131072    1337      0 0x0100 0x00000006`),
+		...parseNetstatWindows(`  Proto  Local Address          Foreign Address        State           PID
+  TCP    127.0.0.1:3000         0.0.0.0:0              LISTENING       1337
+  TCP    [::1]:3000             [::]:0                 LISTENING       1337
+  UDP    0.0.0.0:5353           *:*                                    42`),
+	].map(({remoteHost, remotePort}) => ({remoteHost, remotePort}));
+
+	assert.deepEqual(remoteAddresses, Array.from({length: 7}, () => ({remoteHost: '*', remotePort: undefined})));
+});
+
+test('truncated lines throw a ParseError', () => {
+	const line = 'tcp   LISTEN 0      511        127.0.0.1:8080';
+	assert.throws(() => parseSsOutput(`Netid State  Recv-Q Send-Q Local Address:Port Peer Address:Port Process\n${line}`), error => error instanceof ParseError
+		&& error.code === 'ERR_PARSE'
+		&& error.line === line);
+	assert.throws(() => parseNetstatWindows('  TCP    127.0.0.1:3000'), {code: 'ERR_PARSE', line: '  TCP    127.0.0.1:3000'});
+});
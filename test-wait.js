@@ -0,0 +1,242 @@
+import process from 'node:process';
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import getPort from 'get-port';
+import {startServer, startChildServer} from './test-helpers.js';
+import {
+	portToPid,
+	waitForPortOwner,
+	waitForPortRelease,
+	killPortOwner,
+	watchPorts,
+	createPidPort,
+	TimeoutError,
+	OwnerHiddenError,
+	KillRefusedError,
+} from './index.js';
+
+test('waitForPortOwner()', async () => {
+	const port = await getPort();
+
+	const ownerPromise = waitForPortOwner(port, {interval: 10, timeout: 5000});
+	const server = await startServer(port);
+	assert.equal(await ownerPromise, process.pid);
+
+	// Resolves immediately when the port is already in use
+	assert.equal(await waitForPortOwner(port, {pid: process.pid}), process.pid);
+
+	await assert.rejects(
+		waitForPortOwner(port, {pid: process.pid + 1, interval: 10, timeout: 50}),
+		{
+			name: 'TimeoutError',
+			code: 'ERR_TIMEOUT',
+			message: `Timed out after 50 milliseconds waiting for port \`${port}\` on localhost to be used by process ${process.pid + 1}`,
+			port,
+			host: 'localhost',
+			timeout: 50,
+			pid: process.pid + 1,
+		},
+	);
+
+	server.close();
+});
+
+test('waitForPortRelease()', async () => {
+	const port = await getPort();
+	const server = await startServer(port);
+
+	await assert.rejects(
+		waitForPortRelease(port, {interval: 10, timeout: 50}),
+		error => error instanceof TimeoutError
+			&& error.code === 'ERR_TIMEOUT'
+			&& error.message === `Timed out after 50 milliseconds waiting for port \`${port}\` on localhost to be released`,
+	);
+
+	const releasePromise = waitForPortRelease(port, {interval: 10, timeout: 5000});
+	server.close();
+	await releasePromise;
+
+	// Resolves immediately when the port is free
+	await waitForPortRelease(port);
+});
+
+test('wait helpers support AbortSignal', async () => {
+	const port = await getPort();
+
+	const controller = new AbortController();
+	const ownerPromise = waitForPortOwner(port, {interval: 10, signal: controller.signal});
+	controller.abort(new Error('Stop waiting'));
+	await assert.rejects(ownerPromise, {message: 'Stop waiting'});
+
+	await assert.rejects(
+		waitForPortOwner(port, {signal: AbortSignal.abort(new Error('Already aborted'))}),
+		{message: 'Already aborted'},
+	);
+
+	await assert.rejects(
+		waitForPortRelease(port, {interval: 0}),
+		{message: 'Expected interval to be a positive number, got 0'},
+	);
+});
+
+test('killPortOwner()', async () => {
+	const port = await getPort();
+	const child = await startChildServer(port);
+	const exitPromise = new Promise(resolve => {
+		child.on('exit', (code, signal) => resolve(signal));
+	});
+
+	assert.deepEqual(await killPortOwner(port, {dryRun: true}), {
+		pids: [child.pid],
+		signals: [{pid: child.pid, signal: 'SIGTERM'}],
+		released: false,
+	});
+	assert.equal(await portToPid(port), child.pid);
+
+	assert.deepEqual(await killPortOwner(port, {interval: 10}), {
+		pids: [child.pid],
+		signals: [{pid: child.pid, signal: 'SIGTERM'}],
+		released: true,
+	});
+	assert.equal(await exitPromise, 'SIGTERM');
+
+	await assert.rejects(
+		killPortOwner(port),
+		{message: `Could not find a process that uses port \`${port}\` on localhost`},
+	);
+});
+
+test('killPortOwner() escalates to SIGKILL', {skip: process.platform === 'win32'}, async () => {
+	const port = await getPort();
+	const child = await startChildServer(port, {ignoreSigterm: true});
+	const exitPromise = new Promise(resolve => {
+		child.on('exit', (code, signal) => resolve(signal));
+	});
+
+	assert.deepEqual(await killPortOwner(port, {gracePeriod: 200, interval: 10}), {
+		pids: [child.pid],
+		signals: [
+			{pid: child.pid, signal: 'SIGTERM'},
+			{pid: child.pid, signal: 'SIGKILL'},
+		],
+		released: true,
+	});
+	assert.equal(await exitPromise, 'SIGKILL');
+});
+
+test('killPortOwner() does not escalate a numeric SIGKILL', async () => {
+	const kills = [];
+	const {killPortOwner} = createPidPort({
+		async exec(file, arguments_) {
+			if (file === 'kill') {
+				kills.push(arguments_.join(' '));
+				return {stdout: ''};
+			}
+
+			return {
+				stdout: `Netid State  Recv-Q Send-Q Local Address:Port Peer Address:Port Process
+tcp   LISTEN 0      511        127.0.0.1:3000      0.0.0.0:*    users:(("node",pid=1337,fd=20))
+`,
+			};
+		},
+		platform: 'linux',
+	});
+
+	assert.deepEqual(await killPortOwner(3000, {killSignal: 9, gracePeriod: 0}), {
+		pids: [1337],
+		signals: [{pid: 1337, signal: 9}],
+		released: false,
+	});
+	assert.deepEqual(kills, ['-s 9 1337']);
+});
+
+test('killPortOwner() waits with the same filters as the lookup', async () => {
+	const killed = new Set();
+	const {killPortOwner} = createPidPort({
+		async exec(file, arguments_) {
+			if (file === 'kill') {
+				killed.add(Number(arguments_.at(-1)));
+				return {stdout: ''};
+			}
+
+			const sockets = [
+				'tcp   LISTEN 0      511        127.0.0.1:3000      0.0.0.0:*    users:(("node",pid=1337,fd=20))',
+				'tcp   LISTEN 0      511            [::1]:3000         [::]:*    users:(("node",pid=4242,fd=20))',
+			].filter(line => !killed.has(Number(/pid=(\d+)/.exec(line)[1])));
+
+			return {stdout: ['Netid State  Recv-Q Send-Q Local Address:Port Peer Address:Port Process', ...sockets, ''].join('\n')};
+		},
+		platform: 'linux',
+	});
+
+	assert.deepEqual(await killPortOwner(3000, {family: 4, gracePeriod: 100, interval: 1}), {
+		pids: [1337],
+		signals: [{pid: 1337, signal: 'SIGTERM'}],
+		released: true,
+	});
+	assert.deepEqual([...killed], [1337]);
+});
+
+test('killPortOwner() refuses to kill the current process', async () => {
+	const port = await getPort();
+	const server = await startServer(port);
+
+	await assert.rejects(
+		killPortOwner(port),
+		error => error instanceof KillRefusedError
+			&& error.code === 'ERR_KILL_REFUSED'
+			&& error.pid === process.pid
+			&& error.port === port
+			&& error.message === `Refusing to kill the current process (${process.pid}) that uses port \`${port}\` on localhost`,
+	);
+
+	assert.equal(await portToPid(port), process.pid);
+	server.close();
+
+	const createRunner = owner => createPidPort({
+		exec: async () => ({stdout: `tcp LISTEN 0 511 127.0.0.1:3000 0.0.0.0:*${owner}\n`}),
+		platform: 'linux',
+		backends: ['ss'],
+	});
+	await assert.rejects(createRunner(' users:(("init",pid=1,fd=20))').killPortOwner(3000), {
+		name: 'KillRefusedError',
+		code: 'ERR_KILL_REFUSED',
+		pid: 1,
+		port: 3000,
+		host: 'localhost',
+	});
+	await assert.rejects(createRunner('').killPortOwner(3000, {host: '*', protocol: 'tcp'}), error => error instanceof OwnerHiddenError
+		&& error.code === 'ERR_OWNER_HIDDEN'
+		&& error.port === 3000
+		&& error.host === '*'
+		&& error.protocol === 'tcp');
+});
+
+test('watchPorts()', async () => {
+	const [port, otherPort] = await Promise.all([getPort(), getPort()]);
+	const controller = new AbortController();
+	const events = watchPorts({port, interval: 10, signal: controller.signal});
+
+	// Ports in use are reported by the first check
+	const server = await startServer(port);
+	const otherServer = await startServer(otherPort);
+
+	const {value: bindEvent} = await events.next();
+	assert.deepEqual(bindEvent, {
+		type: 'bind',
+		port,
+		host: '127.0.0.1',
+		protocol: 'tcp',
+		pid: process.pid,
+	});
+
+	server.close();
+	const {value: unbindEvent} = await events.next();
+	assert.deepEqual(unbindEvent, {...bindEvent, type: 'unbind'});
+
+	controller.abort();
+	const {done} = await events.next();
+	assert.ok(done);
+
+	otherServer.close();
+});
@@ -1,34 +1,37 @@
 import process from 'node:process';
-import http from 'node:http';
+import net from 'node:net';
 import {test} from 'node:test';
 import assert from 'node:assert/strict';
-import {execFile} from 'node:child_process';
+import {execFile, spawn} from 'node:child_process';
 import fs from 'node:fs/promises';
 import os from 'node:os';
 import path from 'node:path';
 import {promisify} from 'node:util';
 import getPort from 'get-port';
+import {createServer, startServer, startUdpSocket} from './test-helpers.js';
 import {
 	portToPid,
+	portToPids,
 	pidToPorts,
 	allPortsWithPid,
 	portBindings,
+	listSockets,
+	waitForPortRelease,
+	portToPidSync,
+	pidToPortsSync,
+	allPortsWithPidSync,
+	portBindingsSync,
+	socketPathToPid,
+	pidToSocketPaths,
+	createPidPort,
+	PortNotFoundError,
+	CommandNotFoundError,
+	PermissionDeniedError,
+	SocketPathNotFoundError,
 } from './index.js';
 
 const execFileAsync = promisify(execFile);
 
-const createServer = () => http.createServer((request, response) => {
-	response.end();
-});
-
-const startServer = async (port, host = '127.0.0.1') => {
-	const server = createServer().listen(port, host);
-	await new Promise(resolve => {
-		server.on('listening', resolve);
-	});
-	return server;
-};
-
 test('portToPid()', async () => {
 	const port = await getPort();
 	const server = await startServer(port);
@@ -318,6 +321,52 @@ test('Linux: process names with spaces do not break PID extraction', async t =>
 	}
 });
 
+test('Linux: lookups work without `ss` installed', async t => {
+	if (process.platform !== 'linux') {
+		t.skip();
+		return;
+	}
+
+	const originalPath = process.env.PATH;
+	const temporaryDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'pid-port-'));
+	const [port, ipv6Port] = await Promise.all([getPort(), getPort()]);
+	const [server, ipv6Server] = await Promise.all([
+		startServer(port),
+		startServer(ipv6Port, '::1'),
+	]);
+
+	try {
+		// Shadow ss and lsof so the lookup must come from /proc/net
+		await Promise.all(['ss', 'lsof'].map(async command => {
+			const shadowedCommand = path.join(temporaryDirectory, command);
+			await fs.writeFile(shadowedCommand, '#!/bin/sh\nexit 1\n');
+			await fs.chmod(shadowedCommand, 0o755);
+		}));
+
+		process.env.PATH = `${temporaryDirectory}:${originalPath}`;
+
+		assert.equal(await portToPid(port), process.pid);
+		assert.equal(await portToPid({port: ipv6Port, host: '::1'}), process.pid);
+		assert.deepEqual(await portBindings(port), [
+			{
+				host: '127.0.0.1',
+				pid: process.pid,
+				protocol: 'tcp',
+				state: 'listen',
+			},
+		]);
+
+		const ports = await pidToPorts(process.pid);
+		assert.ok(ports.has(port));
+		assert.ok(ports.has(ipv6Port));
+	} finally {
+		process.env.PATH = originalPath;
+		server.close();
+		ipv6Server.close();
+		await fs.rm(temporaryDirectory, {recursive: true, force: true});
+	}
+});
+
 test('error messages', async () => {
 	// Test validation errors first
 	await assert.rejects(
@@ -353,6 +402,29 @@ test('error messages', async () => {
 	);
 });
 
+test('error classes', async () => {
+	const unusedPort = await getPort();
+	await assert.rejects(portToPid({port: unusedPort, protocol: 'udp'}), error => error instanceof PortNotFoundError
+		&& error.code === 'ERR_PORT_NOT_FOUND'
+		&& error.port === unusedPort
+		&& error.host === 'localhost'
+		&& error.protocol === 'udp');
+	await assert.rejects(portBindings(unusedPort, {host: '::1'}), {code: 'ERR_PORT_NOT_FOUND', host: '::1', message: `Could not find any processes using port \`${unusedPort}\` on host \`::1\``});
+
+	const failingCommand = stderr => createPidPort({
+		async exec(file) {
+			throw Object.assign(new Error(`Command failed: ${file}`), {exitCode: stderr ? 1 : 127, stderr});
+		},
+		platform: 'linux',
+	});
+
+	await assert.rejects(failingCommand('').portToPid(3000), error => error instanceof CommandNotFoundError && error.code === 'ERR_COMMAND_NOT_FOUND' && error.command === 'ss');
+	await assert.rejects(failingCommand('nsenter: cannot open /proc/1/ns/net: Permission denied').portToPid({port: 3000, netns: 1}), error => error instanceof PermissionDeniedError
+		&& error.code === 'ERR_PERMISSION_DENIED'
+		&& error.command === 'nsenter'
+		&& error.message === 'Permission denied running `nsenter`: nsenter: cannot open /proc/1/ns/net: Permission denied');
+});
+
 test('IPv6 localhost support', async () => {
 	const port = await getPort();
 	const server = await startServer(port, '::1');
@@ -623,6 +695,82 @@ test('host normalization and wildcard support', async () => {
 	allServer.close();
 });
 
+test('CIDR ranges, lists of hosts, and network interfaces', async () => {
+	const pidPort = createPidPort({
+		async exec() {
+			return {
+				stdout: `Netid State  Recv-Q Send-Q Local Address:Port Peer Address:Port Process
+tcp   LISTEN 0      511        127.0.0.1:3000      0.0.0.0:*    users:(("node",pid=1,fd=20))
+tcp   LISTEN 0      511         10.1.2.3:4000      0.0.0.0:*    users:(("node",pid=2,fd=20))
+tcp   LISTEN 0      511     [::ffff:10.9.9.9]:4001    [::]:*    users:(("node",pid=3,fd=20))
+tcp   LISTEN 0      511          [fd12::1]:5000       [::]:*    users:(("node",pid=4,fd=20))
+tcp   LISTEN 0      511      192.168.1.2:6000      0.0.0.0:*    users:(("node",pid=5,fd=20))
+`,
+			};
+		},
+		platform: 'linux',
+	});
+
+	assert.deepEqual(await pidPort.allPortsWithPid({host: '10.0.0.0/8'}), new Map([[4000, 2], [4001, 3]]));
+	assert.deepEqual(await pidPort.allPortsWithPid({host: 'fd00::/8'}), new Map([[5000, 4]]));
+	assert.deepEqual(await pidPort.allPortsWithPid({host: ['127.0.0.1', '192.168.0.0/16']}), new Map([[3000, 1], [6000, 5]]));
+	assert.deepEqual(await pidPort.allPortsWithPid({host: ['10.1.2.3', '*']}), new Map([[3000, 1], [4000, 2], [4001, 3], [5000, 4], [6000, 5]]));
+
+	await assert.rejects(pidPort.portToPid({port: 3000, host: ['10.0.0.0/8', 'fd00::/8']}), {
+		message: 'Could not find a process that uses port `3000` on hosts `10.0.0.0/8`, `fd00::/8`',
+		host: ['10.0.0.0/8', 'fd00::/8'],
+	});
+
+	await assert.rejects(pidPort.portToPid({port: 3000, host: '10.0.0.0/33'}), {message: 'Expected host to be a valid CIDR range, got 10.0.0.0/33'});
+	await assert.rejects(pidPort.portToPid({port: 3000, host: 'example/8'}), TypeError);
+	await assert.rejects(pidPort.portToPid({port: 3000, host: []}), {message: 'Expected host to not be an empty array'});
+	await assert.rejects(pidPort.portToPid({port: 3000, host: ['127.0.0.1', 1]}), {message: 'Expected host to be a string, got number'});
+
+	// The loopback interface, like `lo` on Linux or `lo0` on macOS
+	const [loopback] = Object.entries(os.networkInterfaces()).find(([, addresses]) => addresses.some(({address}) => address === '127.0.0.1'));
+	const port = await getPort();
+	const server = await startServer(port);
+	try {
+		assert.equal(await portToPid({port, host: loopback}), process.pid);
+		assert.equal(await portToPid({port, host: '127.0.0.0/8'}), process.pid);
+	} finally {
+		server.close();
+	}
+});
+
+test('IPv6 host forms and family option', async () => {
+	const pidPort = createPidPort({
+		async exec() {
+			return {
+				stdout: `Netid State  Recv-Q Send-Q Local Address:Port Peer Address:Port Process
+tcp   LISTEN 0      511        127.0.0.1:3000      0.0.0.0:*    users:(("node",pid=1,fd=20))
+tcp   LISTEN 0      511            [::1]:3000         [::]:*    users:(("node",pid=2,fd=20))
+tcp   LISTEN 0      511   [::ffff:10.0.0.5]:4000      [::]:*    users:(("node",pid=3,fd=20))
+udp   UNCONN 0      0     [fe80::1]%eth0:5000         [::]:*    users:(("node",pid=4,fd=20))
+tcp   LISTEN 0      511                *:6000            *:*    users:(("node",pid=5,fd=20))
+`,
+			};
+		},
+		platform: 'linux',
+	});
+
+	assert.equal(await pidPort.portToPid({port: 3000, host: '0:0:0:0:0:0:0:1'}), 2);
+	assert.equal(await pidPort.portToPid({port: 3000, host: '[::1]'}), 2);
+	assert.equal(await pidPort.portToPid({port: 4000, host: '10.0.0.5'}), 3);
+	assert.equal(await pidPort.portToPid({port: 4000, host: '::FFFF:10.0.0.5'}), 3);
+	assert.equal(await pidPort.portToPid({port: 5000, host: 'FE80::1'}), 4);
+	assert.equal(await pidPort.portToPid({port: 5000, host: 'fe80::1%eth0'}), 4);
+	await assert.rejects(pidPort.portToPid({port: 5000, host: 'fe80::1%eth1'}), PortNotFoundError);
+
+	assert.equal(await pidPort.portToPid({port: 3000, family: 6}), 2);
+	assert.deepEqual(await pidPort.portToPids(3000, {family: 4}), [1]);
+	assert.deepEqual(await pidPort.allPortsWithPid({host: '*', family: 4}), new Map([[3000, 1], [4000, 3], [6000, 5]]));
+	assert.deepEqual(await pidPort.allPortsWithPid({host: '*', family: 6}), new Map([[3000, 2], [5000, 4], [6000, 5]]));
+	assert.deepEqual(await pidPort.pidToPorts(3, {family: 6}), new Set());
+	await assert.rejects(pidPort.portToPid({port: 3000, family: 5}), {message: 'Expected family to be `4` or `6`, got 5'});
+	await assert.rejects(pidPort.pidToPorts(1, {family: 'ipv4'}), TypeError);
+});
+
 test('portBindings deduplication and sorting', async () => {
 	const port = await getPort();
 	const server = await startServer(port);
@@ -751,3 +899,468 @@ test('allPortsWithPid host filtering variants', async () => {
 
 	server.close();
 });
+
+test('port ranges', async () => {
+	const [port1, port2, port3] = await Promise.all([getPort(), getPort(), getPort()]);
+	const [server1, server2, server3] = await Promise.all([startServer(port1), startServer(port2), startServer(port3)]);
+	const from = Math.min(port1, port2, port3);
+	const to = Math.max(port1, port2, port3);
+	const expected = new Map([port1, port2, port3].sort((a, b) => a - b).map(port => [port, process.pid]));
+
+	try {
+		assert.deepEqual(await portToPid({from, to}), expected);
+		const allInterfaces = await portToPid({port: {from, to}, host: '*', protocol: 'tcp'});
+		assert.equal(allInterfaces.get(port1), process.pid);
+		assert.deepEqual(await portToPid([port1, {from: to, to}]), new Map([[port1, process.pid], [to, process.pid]]));
+
+		const bindings = await portBindings([{from, to}]);
+		assert.deepEqual(bindings.map(binding => binding.port), [...expected.keys()]);
+		assert.deepEqual(bindings[0], {
+			port: from,
+			host: '127.0.0.1',
+			pid: process.pid,
+			protocol: 'tcp',
+			state: 'listen',
+		});
+
+		const ports = await allPortsWithPid({port: {from, to}});
+		assert.deepEqual(new Map([...ports].sort(([a], [b]) => a - b)), expected);
+	} finally {
+		server1.close();
+		server2.close();
+		server3.close();
+	}
+
+	await assert.rejects(portBindings({from: 1, to: 1}), {message: 'Could not find any processes using ports `1` on localhost'});
+	await assert.rejects(portToPid({from: 10, to: 5}), {message: 'Expected port range `from` to not be greater than `to`, got 10-5'});
+	await assert.rejects(portToPid({}), {message: 'Expected port range to have `from` or `to`'});
+	await assert.rejects(allPortsWithPid({port: [{to: 70_000}]}), {message: 'Expected port range `to` to be an integer between 1 and 65535, got 70000'});
+});
+
+test('ports shared by several processes', async () => {
+	const port = await getPort();
+	const server = await startServer(port);
+
+	// The worker holds the same socket, like the workers of a Node.js cluster
+	const script = 'process.on(\'message\', (message, server) => { globalThis.server = server; console.log(\'ready\'); })';
+	const worker = spawn(process.execPath, ['-e', script], {stdio: ['ignore', 'pipe', 'inherit', 'ipc']});
+	worker.send('server', server);
+	await new Promise(resolve => {
+		worker.stdout.once('data', resolve);
+	});
+
+	try {
+		const pids = [process.pid, worker.pid].sort((a, b) => a - b);
+		assert.deepEqual(await portToPids(port), pids);
+		assert.equal(await portToPid(port), pids[0]);
+
+		const ports = await allPortsWithPid({port, multiple: true});
+		assert.deepEqual(ports, new Map([[port, pids]]));
+
+		const bindings = await portBindings(port);
+		assert.deepEqual(bindings.map(binding => binding.pid), pids);
+
+		const [ownPorts, workerPorts] = await Promise.all([pidToPorts(process.pid), pidToPorts(worker.pid)]);
+		assert.ok(ownPorts.has(port));
+		assert.ok(workerPorts.has(port));
+		assert.ok(pidToPortsSync(worker.pid).has(port));
+	} finally {
+		const exited = new Promise(resolve => {
+			worker.once('exit', resolve);
+		});
+		worker.kill();
+		server.close();
+		await exited;
+	}
+
+	await assert.rejects(portToPids(port), {message: `Could not find a process that uses port \`${port}\` on localhost`});
+});
+
+test('pidToPorts() with ports shared by several processes', async () => {
+	const {pidToPorts, portToPids} = createPidPort({
+		async exec(file) {
+			if (file === 'ps') {
+				return {
+					stdout: `    1     0     1     1 init
+  100     1   100   100 node
+  200   100   100   100 node
+  300     1   300   300 named
+`,
+				};
+			}
+
+			return {
+				stdout: `Netid State  Recv-Q Send-Q Local Address:Port Peer Address:Port Process
+tcp   LISTEN 0      511          0.0.0.0:3000      0.0.0.0:*    users:(("node",pid=100,fd=20),("node",pid=200,fd=20))
+udp   UNCONN 0      0            0.0.0.0:53        0.0.0.0:*    users:(("node",pid=100,fd=21))
+tcp   LISTEN 0      511          0.0.0.0:53        0.0.0.0:*    users:(("named",pid=300,fd=5))
+`,
+			};
+		},
+		platform: 'linux',
+	});
+
+	assert.deepEqual(await portToPids(3000, {host: '*'}), [100, 200]);
+	assert.deepEqual(await pidToPorts(100), new Set([3000, 53]));
+	assert.deepEqual(await pidToPorts(200), new Set([3000]));
+	assert.deepEqual(await pidToPorts([100, 300]), new Map([[100, new Set([3000, 53])], [300, new Set([53])]]));
+	assert.deepEqual(await pidToPorts(100, {protocol: 'tcp'}), new Set([3000]));
+
+	assert.deepEqual(await pidToPorts(100, {includeDescendants: true}), new Map([[3000, 100], [53, 100]]));
+	assert.deepEqual(await pidToPorts(200, {includeDescendants: true}), new Map([[3000, 200]]));
+	assert.deepEqual(await pidToPorts(300, {includeDescendants: true}), new Map([[53, 300]]));
+});
+
+test('protocol option', async () => {
+	const port = await getPort();
+	const [server, udpSocket] = await Promise.all([
+		startServer(port),
+		startUdpSocket(port),
+	]);
+
+	assert.equal(await portToPid({port, protocol: 'tcp'}), process.pid);
+	assert.equal(await portToPid({port, protocol: 'udp'}), process.pid);
+
+	assert.deepEqual(await portBindings(port), [
+		{
+			host: '127.0.0.1',
+			pid: process.pid,
+			protocol: 'tcp',
+			state: 'listen',
+		},
+		{
+			host: '127.0.0.1',
+			pid: process.pid,
+			protocol: 'udp',
+			state: 'listen',
+		},
+	]);
+
+	assert.deepEqual(await portBindings(port, {protocol: 'udp'}), [
+		{
+			host: '127.0.0.1',
+			pid: process.pid,
+			protocol: 'udp',
+			state: 'listen',
+		},
+	]);
+
+	const udpPorts = await allPortsWithPid({protocol: 'udp'});
+	assert.equal(udpPorts.get(port), process.pid);
+
+	const udpOnlyPorts = await pidToPorts(process.pid, {protocol: 'udp'});
+	assert.ok(udpOnlyPorts.has(port));
+
+	server.close();
+
+	await assert.rejects(
+		portToPid({port, protocol: 'tcp'}),
+		{message: `Could not find a process that uses TCP port \`${port}\` on localhost`},
+	);
+
+	await assert.rejects(
+		portBindings(port, {protocol: 'tcp'}),
+		{message: `Could not find any processes using TCP port \`${port}\` on localhost`},
+	);
+
+	const tcpOnlyPorts = await pidToPorts(process.pid, {protocol: 'tcp'});
+	assert.ok(!tcpOnlyPorts.has(port));
+
+	await assert.rejects(
+		portToPid({port, protocol: 'sctp'}),
+		{message: 'Expected protocol to be one of `tcp`, `udp`, got sctp'},
+	);
+
+	udpSocket.close();
+});
+
+test('state option', async () => {
+	const port = await getPort();
+	const server = await startServer(port);
+
+	const client = net.connect(port, '127.0.0.1');
+	await new Promise(resolve => {
+		client.on('connect', resolve);
+	});
+
+	// Listening sockets only by default
+	assert.deepEqual(await portBindings(port), [
+		{
+			host: '127.0.0.1',
+			pid: process.pid,
+			protocol: 'tcp',
+			state: 'listen',
+		},
+	]);
+
+	assert.deepEqual(await portBindings(port, {state: 'all'}), [
+		{
+			host: '127.0.0.1',
+			pid: process.pid,
+			protocol: 'tcp',
+			state: 'listen',
+		},
+		{
+			host: '127.0.0.1',
+			pid: process.pid,
+			protocol: 'tcp',
+			state: 'established',
+		},
+	]);
+
+	assert.equal(await portToPid({port, state: 'established'}), process.pid);
+
+	const connectionPorts = await pidToPorts(process.pid, {state: 'established'});
+	assert.ok(connectionPorts.has(port));
+	assert.ok(connectionPorts.has(client.localPort));
+
+	const listeningPorts = await pidToPorts(process.pid);
+	assert.ok(!listeningPorts.has(client.localPort));
+
+	const established = await allPortsWithPid({state: 'established'});
+	assert.equal(established.get(client.localPort), process.pid);
+
+	await assert.rejects(
+		portToPid({port, state: 'waiting'}),
+		{message: /^Expected state to be `all` or one of `listen`, `established`/},
+	);
+
+	client.destroy();
+	server.close();
+});
+
+test('listSockets()', async () => {
+	const port = await getPort();
+	const server = await startServer(port);
+
+	const client = net.connect(port, '127.0.0.1');
+	await new Promise(resolve => {
+		client.on('connect', resolve);
+	});
+
+	const listening = await listSockets();
+	const listener = listening.find(socket => socket.port === port);
+	assert.equal(listener.protocol, 'tcp');
+	assert.equal(listener.host, '127.0.0.1');
+	assert.equal(listener.remotePort, undefined);
+	assert.equal(listener.state, 'listen');
+	assert.equal(listener.pid, process.pid);
+	assert.ok(!listening.some(socket => socket.state !== 'listen'));
+
+	const all = await listSockets({state: 'all', protocol: 'tcp'});
+	const connection = all.find(socket => socket.port === client.localPort);
+	assert.equal(connection.host, '127.0.0.1');
+	assert.equal(connection.remoteHost, '127.0.0.1');
+	assert.equal(connection.remotePort, port);
+	assert.equal(connection.state, 'established');
+	assert.equal(connection.pid, process.pid);
+
+	const serverSide = all.find(socket => socket.port === port && socket.remotePort === client.localPort);
+	assert.equal(serverSide.state, 'established');
+
+	client.destroy();
+	server.close();
+});
+
+test('includeProcessInfo option', async t => {
+	const port = await getPort();
+	const server = await startServer(port);
+
+	const owner = await portToPid({port, includeProcessInfo: true});
+	assert.equal(owner.pid, process.pid);
+	assert.equal(owner.process.pid, process.pid);
+	assert.equal(typeof owner.process.name, 'string');
+	assert.ok(Array.isArray(owner.process.arguments));
+	assert.ok(owner.process.startTime instanceof Date);
+	assert.ok(owner.process.startTime <= new Date());
+	assert.equal(owner.process.username, os.userInfo().username);
+
+	if (process.platform !== 'win32') {
+		assert.equal(owner.process.cwd, process.cwd());
+		assert.equal(owner.process.uid, process.getuid());
+	}
+
+	const [binding] = await portBindings(port, {includeProcessInfo: true});
+	assert.equal(binding.pid, process.pid);
+	assert.deepEqual(binding.process, owner.process);
+
+	const all = await allPortsWithPid({includeProcessInfo: true});
+	assert.deepEqual(all.get(port), owner);
+
+	// Plain process IDs without the option
+	assert.equal(await portToPid({port}), process.pid);
+
+	// The current user can have no entry in `/etc/passwd`, like in containers run with `--user 1234`
+	t.mock.method(os, 'userInfo', () => {
+		throw Object.assign(new Error('A system error occurred: uv_os_get_passwd returned ENOENT (no such file or directory)'), {code: 'ERR_SYSTEM_ERROR'});
+	});
+	const withoutPasswdEntry = await portToPid({port, includeProcessInfo: true});
+	assert.equal(withoutPasswdEntry.process.pid, process.pid);
+	assert.equal(withoutPasswdEntry.process.name, owner.process.name);
+
+	server.close();
+});
+
+test('pidToPorts includeDescendants option', async t => {
+	if (process.platform === 'win32') {
+		t.skip();
+		return;
+	}
+
+	const port = await getPort();
+	const server = await startServer(await getPort());
+	const script = `require('node:net').createServer().listen(${port}, '127.0.0.1', () => console.log('listening'))`;
+	const child = spawn('sh', ['-c', `"${process.execPath}" -e "${script}"; true`], {detached: true, stdio: ['ignore', 'pipe', 'inherit']});
+	await new Promise(resolve => {
+		child.stdout.once('data', resolve);
+	});
+
+	try {
+		const grandchildPid = await portToPid(port);
+		assert.notEqual(grandchildPid, child.pid);
+		assert.deepEqual(await pidToPorts(child.pid), new Set());
+		assert.deepEqual(await pidToPorts(child.pid, {includeDescendants: true}), new Map([[port, grandchildPid]]));
+
+		const subtreePorts = await pidToPorts([process.pid, child.pid], {includeDescendants: true});
+		assert.equal(subtreePorts.get(process.pid).get(port), grandchildPid);
+		assert.equal(subtreePorts.get(process.pid).get(server.address().port), process.pid);
+		assert.ok(!subtreePorts.get(child.pid).has(server.address().port));
+	} finally {
+		process.kill(-child.pid, 'SIGKILL');
+		server.close();
+	}
+});
+
+test('synchronous functions', async () => {
+	const [port, rangePort] = await Promise.all([getPort(), getPort()]);
+	const [server, rangeServer] = await Promise.all([startServer(port), startServer(rangePort)]);
+
+	assert.equal(portToPidSync(port), await portToPid(port));
+	assert.deepEqual(portToPidSync([port, {from: rangePort, to: rangePort}]), await portToPid([port, {from: rangePort, to: rangePort}]));
+	assert.deepEqual(portToPidSync({port, protocol: 'tcp'}), await portToPid({port, protocol: 'tcp'}));
+	assert.deepEqual(pidToPortsSync(process.pid), await pidToPorts(process.pid));
+	assert.deepEqual(pidToPortsSync([process.pid]), await pidToPorts([process.pid]));
+	assert.deepEqual(allPortsWithPidSync({multiple: true}), await allPortsWithPid({multiple: true}));
+	assert.deepEqual(portBindingsSync([port, rangePort]), await portBindings([port, rangePort]));
+
+	// The network namespace steps are shared too
+	if (process.platform === 'linux') {
+		const netns = `/proc/${process.pid}/ns/net`;
+		assert.deepEqual(portBindingsSync(port, {netns}), await portBindings(port, {netns}));
+	}
+
+	// And so are the process lookups
+	assert.deepEqual(portToPidSync({port, includeProcessInfo: true, includeAncestors: true}), await portToPid({port, includeProcessInfo: true, includeAncestors: true}));
+	assert.deepEqual(portToPidSync({port: [port], selectAncestor: 'session'}), await portToPid({port: [port], selectAncestor: 'session'}));
+	assert.deepEqual(pidToPortsSync(process.pid, {includeDescendants: true}), await pidToPorts(process.pid, {includeDescendants: true}));
+	assert.deepEqual(allPortsWithPidSync({port, includeProcessInfo: true}), await allPortsWithPid({port, includeProcessInfo: true}));
+	assert.deepEqual(portBindingsSync(port, {includeProcessInfo: true}), await portBindings(port, {includeProcessInfo: true}));
+
+	server.close();
+	rangeServer.close();
+	await waitForPortRelease(port, {interval: 10});
+
+	assert.throws(() => portToPidSync(port), {message: `Could not find a process that uses port \`${port}\` on localhost`});
+	assert.throws(() => portBindingsSync(port), {message: `Could not find any processes using port \`${port}\` on localhost`});
+	assert.throws(() => portToPidSync(0), TypeError);
+});
+
+test('includeAncestors and selectAncestor options', async t => {
+	await assert.rejects(portToPid({port: 3000, selectAncestor: 'parent'}), {message: 'Expected selectAncestor to be one of `process-group`, `session`, got parent'});
+
+	// `npm run dev` in a login shell: npm starts a new process group, and its children stay in it
+	const {portToPid: macosPortToPid} = createPidPort({
+		async exec(file, arguments_) {
+			if (file === 'ps') {
+				return {
+					stdout: `    1     0     1      0 launchd
+  100     1   100 0x1234 zsh
+  200   100   200 0x1234 npm
+  201   200   200 0x1234 sh
+  202   201   200 0x1234 node
+`,
+				};
+			}
+
+			return {
+				stdout: arguments_.includes('tcp')
+					? `Active Internet connections (including servers)
+Proto Recv-Q Send-Q  Local Address          Foreign Address        (state)     rhiwat shiwat    pid   epid  state    options
+tcp4       0      0  127.0.0.1.3000         *.*                    LISTEN      131072 131072    202      0 0x0100 0x00000106
+`
+					: '',
+			};
+		},
+		platform: 'darwin',
+	});
+
+	assert.deepEqual(await macosPortToPid({port: 3000, includeAncestors: true}), {
+		pid: 202,
+		ancestors: [
+			{pid: 202, ppid: 201, name: 'node'},
+			{pid: 201, ppid: 200, name: 'sh'},
+			{pid: 200, ppid: 100, name: 'npm'},
+			{pid: 100, ppid: 1, name: 'zsh'},
+			{pid: 1, ppid: 0, name: 'launchd'},
+		],
+	});
+	assert.equal(await macosPortToPid({port: 3000, selectAncestor: 'process-group'}), 200);
+	assert.equal(await macosPortToPid({port: 3000, selectAncestor: 'session'}), 100);
+
+	if (process.platform === 'win32') {
+		t.skip();
+		return;
+	}
+
+	// A detached shell leads a new process group and session, which its child stays in
+	const port = await getPort();
+	const script = `require('node:net').createServer().listen(${port}, '127.0.0.1', () => console.log('listening'))`;
+	const child = spawn('sh', ['-c', `"${process.execPath}" -e "${script}"; true`], {detached: true, stdio: ['ignore', 'pipe', 'inherit']});
+	await new Promise(resolve => {
+		child.stdout.once('data', resolve);
+	});
+
+	try {
+		const {pid, ancestors} = await portToPid({port, includeAncestors: true});
+		assert.notEqual(pid, child.pid);
+		assert.deepEqual(ancestors.slice(0, 3), [
+			{pid, ppid: child.pid, name: 'node'},
+			{pid: child.pid, ppid: process.pid, name: 'sh'},
+			{pid: process.pid, ppid: process.ppid, name: ancestors[2].name},
+		]);
+
+		assert.equal(await portToPid({port, selectAncestor: 'process-group'}), child.pid);
+		const bindings = await portBindings(port, {selectAncestor: 'session', includeAncestors: true});
+		assert.equal(bindings[0].pid, child.pid);
+		assert.equal(bindings[0].ancestors[0].pid, pid);
+	} finally {
+		process.kill(-child.pid, 'SIGKILL');
+	}
+});
+
+test('Unix domain sockets', {skip: process.platform !== 'linux'}, async () => {
+	const socketPath = path.join(os.tmpdir(), `pid-port-${process.pid} test.sock`);
+	const server = net.createServer().listen(socketPath);
+	await new Promise(resolve => {
+		server.on('listening', resolve);
+	});
+
+	try {
+		assert.equal(await socketPathToPid(socketPath), process.pid);
+		assert.deepEqual(await socketPathToPid([socketPath]), new Map([[socketPath, process.pid]]));
+
+		const paths = await pidToSocketPaths(process.pid);
+		assert.ok(paths.has(socketPath));
+
+		const pathsMap = await pidToSocketPaths([process.pid]);
+		assert.ok(pathsMap.get(process.pid).has(socketPath));
+	} finally {
+		server.close();
+	}
+
+	await assert.rejects(socketPathToPid(socketPath), error => error instanceof SocketPathNotFoundError
+		&& error.code === 'ERR_SOCKET_PATH_NOT_FOUND'
+		&& error.path === socketPath);
+	await assert.rejects(socketPathToPid(''), TypeError);
+	await assert.rejects(pidToSocketPaths('1'), TypeError);
+});